@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+const KEY_PREFIX = "hm_";
+const KEY_BYTES = 24;
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RATE_LIMIT_WINDOW_MS = 60000;
+const USAGE_HOUR_MS = 3600000;
+const QUOTA_KEYS = { max_bbox_area: "API_MAX_BBOX_AREA_BY_LEVEL", max_cells: "API_MAX_CELLS_BY_LEVEL" };
+const GRID_LEVEL_COUNT = config.API_MAX_CELLS_BY_LEVEL.length;
+
+// Only the hash is stored, the key itself is shown once when it is created
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Quotas are { max_bbox_area: [...], max_cells: [...] } with one entry per grid level, either list may be omitted
+function isValidQuotas(quotas) {
+  if (!quotas || typeof quotas !== "object" || Array.isArray(quotas)) return false;
+  return Object.entries(quotas).every(([key, values]) => key in QUOTA_KEYS && Array.isArray(values) && values.length === GRID_LEVEL_COUNT && values.every((value) => typeof value === "number" && value > 0));
+}
+
+function validateLimits({ rateLimitPerMinute, quotas }) {
+  if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null && !(Number.isInteger(rateLimitPerMinute) && rateLimitPerMinute > 0)) {
+    throw new Error("The rate limit must be a positive number of requests per minute.");
+  }
+  if (quotas !== undefined && quotas !== null && !isValidQuotas(quotas)) {
+    throw new Error(`Quotas must be a JSON object with ${Object.keys(QUOTA_KEYS).join(" and/or ")}, each a list of ${GRID_LEVEL_COUNT} positive numbers.`);
+  }
+}
+
+// Returns the new key, null limits use the API_* defaults
+function createApiKey(db, name, { rateLimitPerMinute = null, quotas = null } = {}) {
+  if (!KEY_NAME_PATTERN.test(name)) throw new Error(`Invalid key name "${name}", use letters, digits, "-" and "_".`);
+  validateLimits({ rateLimitPerMinute, quotas });
+  if (db.prepare(`SELECT 1 FROM api_keys WHERE name = ?`).get(name)) throw new Error(`An API key named "${name}" already exists.`);
+
+  const key = KEY_PREFIX + crypto.randomBytes(KEY_BYTES).toString("base64url");
+  db.prepare(`INSERT INTO api_keys (name, key_hash, rate_limit_per_minute, quotas, created_at) VALUES (?, ?, ?, ?, ?)`).run(name, hashApiKey(key), rateLimitPerMinute, quotas === null ? null : JSON.stringify(quotas), Date.now());
+  return key;
+}
+
+// Limits that are undefined stay as they are, null resets them to the defaults. Returns false for an unknown key.
+function updateApiKeyLimits(db, name, { rateLimitPerMinute, quotas }) {
+  validateLimits({ rateLimitPerMinute, quotas });
+  const apiKey = db.prepare(`SELECT rate_limit_per_minute, quotas FROM api_keys WHERE name = ?`).get(name);
+  if (!apiKey) return false;
+  db.prepare(`UPDATE api_keys SET rate_limit_per_minute = ?, quotas = ? WHERE name = ?`).run(
+    rateLimitPerMinute === undefined ? apiKey.rate_limit_per_minute : rateLimitPerMinute,
+    quotas === undefined ? apiKey.quotas : quotas === null ? null : JSON.stringify(quotas),
+    name
+  );
+  return true;
+}
+
+// Returns false for an unknown or already revoked key
+function revokeApiKey(db, name) {
+  return db.prepare(`UPDATE api_keys SET revoked_at = ? WHERE name = ? AND revoked_at IS NULL`).run(Date.now(), name).changes > 0;
+}
+
+function listApiKeys(db) {
+  return db.prepare(`SELECT name, rate_limit_per_minute, quotas, created_at, revoked_at FROM api_keys ORDER BY name`).all();
+}
+
+// The active key matching a presented key, or null
+function findApiKey(db, key) {
+  return db.prepare(`SELECT key_id, name, rate_limit_per_minute, quotas FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`).get(hashApiKey(key)) || null;
+}
+
+// Rate limit and per-level quotas of a key, falling back to the API_* defaults
+function getLimits(apiKey) {
+  const quotas = apiKey.quotas === null ? {} : JSON.parse(apiKey.quotas);
+  return {
+    rateLimitPerMinute: apiKey.rate_limit_per_minute ?? config.API_RATE_LIMIT_PER_MINUTE,
+    maxBboxAreaByLevel: quotas.max_bbox_area || config[QUOTA_KEYS.max_bbox_area],
+    maxCellsByLevel: quotas.max_cells || config[QUOTA_KEYS.max_cells],
+  };
+}
+
+// Requests, rejections and cells returned per key and route since the given time, the busiest first
+function getUsage(db, since) {
+  return db
+    .prepare(
+      `
+      SELECT api_keys.name, api_key_usage.route, SUM(request_count) AS request_count, SUM(rejected_count) AS rejected_count, SUM(cell_count) AS cell_count
+      FROM api_key_usage
+      JOIN api_keys ON api_keys.key_id = api_key_usage.key_id
+      WHERE hour_start >= ?
+      GROUP BY api_keys.name, api_key_usage.route
+      ORDER BY request_count DESC, api_keys.name, api_key_usage.route
+    `
+    )
+    .all(Math.floor(since / USAGE_HOUR_MS) * USAGE_HOUR_MS);
+}
+
+// Fixed one-minute windows per key, kept in memory so limits reset when the server restarts
+function createRateLimiter() {
+  const windows = new Map();
+
+  // Counts a request, returns { allowed, remaining, resetAt }
+  function take(keyId, limit) {
+    const now = Date.now();
+    let window = windows.get(keyId);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+      windows.set(keyId, window);
+    }
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+    return { allowed, remaining: limit - window.count, resetAt: window.resetAt };
+  }
+
+  return { take };
+}
+
+// Usage is summed in memory and written in one transaction per flush, so requests themselves never write.
+// A flush that fails, e.g. because a runner holds the write lock, keeps its usage for the next one.
+function createUsageRecorder(db) {
+  const upsertStmt = db.prepare(`
+    INSERT INTO api_key_usage (key_id, hour_start, route, request_count, rejected_count, cell_count) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (key_id, hour_start, route) DO UPDATE SET
+      request_count = request_count + excluded.request_count,
+      rejected_count = rejected_count + excluded.rejected_count,
+      cell_count = cell_count + excluded.cell_count
+  `);
+  let pending = new Map();
+
+  function addPending({ keyId, hourStart, route, requestCount, rejectedCount, cellCount }) {
+    const usageKey = `${keyId}|${hourStart}|${route}`;
+    if (!pending.has(usageKey)) pending.set(usageKey, { keyId, hourStart, route, requestCount: 0, rejectedCount: 0, cellCount: 0 });
+    const usage = pending.get(usageKey);
+    usage.requestCount += requestCount;
+    usage.rejectedCount += rejectedCount;
+    usage.cellCount += cellCount;
+  }
+
+  function record(keyId, route, { rejected = false, cellCount = 0 } = {}) {
+    const hourStart = Math.floor(Date.now() / USAGE_HOUR_MS) * USAGE_HOUR_MS;
+    addPending({ keyId, hourStart, route, requestCount: 1, rejectedCount: rejected ? 1 : 0, cellCount });
+  }
+
+  const writeUsage = db.transaction((usages) => {
+    for (const usage of usages) upsertStmt.run(usage.keyId, usage.hourStart, usage.route, usage.requestCount, usage.rejectedCount, usage.cellCount);
+  });
+
+  function flush() {
+    if (pending.size === 0) return;
+    const usages = [...pending.values()];
+    pending = new Map();
+    try {
+      writeUsage.immediate(usages);
+    } catch (error) {
+      usages.forEach(addPending);
+      throw error;
+    }
+  }
+
+  return { record, flush };
+}
+
+module.exports = { createApiKey, updateApiKeyLimits, revokeApiKey, listApiKeys, findApiKey, getLimits, getUsage, createRateLimiter, createUsageRecorder };
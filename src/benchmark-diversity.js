@@ -0,0 +1,114 @@
+/*
+  -- Benchmark of the diversity neighbourhood search on synthetic alert sets --
+  Compares the previous square scan over string-keyed Map lookups with the circular radius query of ./spatial-index.
+  The index only pays off from a radius of about 5 cells (0.00005) up, at 1 to 2.5 cells the square scan can be faster.
+  BENCHMARK_ALERT_COUNTS, BENCHMARK_RADII (degrees) and BENCHMARK_SEED override the defaults below
+*/
+const { generateAlerts } = require("./mock-waze-server");
+const SpatialIndex = require("./spatial-index");
+const Log = require("./log");
+
+const PRECISION_MAX = 5;
+const CELL_RESOLUTION = Math.pow(10, -PRECISION_MAX);
+const DAY_MS = 86400000;
+const TIME_WINDOW_DAYS = [7, 14, 30, 90];
+// Roughly a city, so neighbourhoods are as crowded as in a real 90-day dataset
+const AREA = { top: -27.4, bottom: -27.5, left: 153.0, right: 153.1 };
+
+function parseList(value, fallback) {
+  return value ? value.split(",").map((item) => parseFloat(item.trim())) : fallback;
+}
+
+// Most recent time window per level-5 cell, built the same way as in grid.js
+function buildCellMostRecentTimeWindowIdMap(alerts, referenceTimestamp) {
+  const cellMostRecentTimeWindowIdMap = new Map();
+  for (const alert of alerts) {
+    const timeWindowId = TIME_WINDOW_DAYS.findIndex((days) => alert.pubMillis >= referenceTimestamp - days * DAY_MS);
+    if (timeWindowId === -1) continue;
+    const cellKey = `${Math.trunc(alert.location.x * 10 ** PRECISION_MAX)}_${Math.trunc(alert.location.y * 10 ** PRECISION_MAX)}`;
+    const currentTWIDInMap = cellMostRecentTimeWindowIdMap.get(cellKey);
+    if (currentTWIDInMap === undefined || timeWindowId < currentTWIDInMap) {
+      cellMostRecentTimeWindowIdMap.set(cellKey, timeWindowId);
+    }
+  }
+  return cellMostRecentTimeWindowIdMap;
+}
+
+// The previous implementation: every cell of the (2r+1)^2 square is looked up by its string key
+function scoreWithSquareScan(cellMostRecentTimeWindowIdMap, anchors, radius) {
+  const neighborhoodHalfWidthInCells = Math.floor(radius / CELL_RESOLUTION);
+  return anchors.map(([anchorLonScaled, anchorLatScaled]) => {
+    const uniqueTimeWindowsInProximity = new Set();
+    for (let dy = -neighborhoodHalfWidthInCells; dy <= neighborhoodHalfWidthInCells; dy++) {
+      for (let dx = -neighborhoodHalfWidthInCells; dx <= neighborhoodHalfWidthInCells; dx++) {
+        const neighborCellKey = `${anchorLonScaled + dx}_${anchorLatScaled + dy}`;
+        if (cellMostRecentTimeWindowIdMap.has(neighborCellKey)) {
+          uniqueTimeWindowsInProximity.add(cellMostRecentTimeWindowIdMap.get(neighborCellKey));
+        }
+      }
+    }
+    return uniqueTimeWindowsInProximity.size;
+  });
+}
+
+// Same lookups as the square scan, restricted to the circle, to check the index returns identical scores
+function scoreWithCircularScan(cellMostRecentTimeWindowIdMap, anchors, radius) {
+  const radiusInCells = radius / CELL_RESOLUTION;
+  const neighborhoodHalfWidthInCells = Math.floor(radiusInCells);
+  return anchors.map(([anchorLonScaled, anchorLatScaled]) => {
+    const uniqueTimeWindowsInProximity = new Set();
+    for (let dy = -neighborhoodHalfWidthInCells; dy <= neighborhoodHalfWidthInCells; dy++) {
+      for (let dx = -neighborhoodHalfWidthInCells; dx <= neighborhoodHalfWidthInCells; dx++) {
+        const neighborCellKey = `${anchorLonScaled + dx}_${anchorLatScaled + dy}`;
+        if (dx * dx + dy * dy <= radiusInCells * radiusInCells && cellMostRecentTimeWindowIdMap.has(neighborCellKey)) {
+          uniqueTimeWindowsInProximity.add(cellMostRecentTimeWindowIdMap.get(neighborCellKey));
+        }
+      }
+    }
+    return uniqueTimeWindowsInProximity.size;
+  });
+}
+
+function scoreWithCellIndex(cellMostRecentTimeWindowIdMap, anchors, radius) {
+  const radiusInCells = radius / CELL_RESOLUTION;
+  const cellIndex = SpatialIndex.createCellIndex(Math.max(1, Math.ceil(radiusInCells)));
+  cellMostRecentTimeWindowIdMap.forEach((timeWindowId, cellKey) => {
+    const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+    cellIndex.add(lonScaled, latScaled, timeWindowId);
+  });
+  return anchors.map(([anchorLonScaled, anchorLatScaled]) => SpatialIndex.countDistinctWithinRadius(cellIndex, anchorLonScaled, anchorLatScaled, radiusInCells, TIME_WINDOW_DAYS.length));
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function runBenchmark({ alertCounts, radii, seed }) {
+  const referenceTimestamp = Date.now();
+  for (const alertCount of alertCounts) {
+    const alerts = generateAlerts({ count: alertCount, area: AREA, seed, now: referenceTimestamp });
+    const cellMostRecentTimeWindowIdMap = buildCellMostRecentTimeWindowIdMap(alerts, referenceTimestamp);
+    // Anchors are scored per alert like the previous implementation did, so both sides do the same amount of work
+    const anchors = alerts.map((alert) => [Math.trunc(alert.location.x * 10 ** PRECISION_MAX), Math.trunc(alert.location.y * 10 ** PRECISION_MAX)]);
+    Log.info(`${alertCount} alerts in ${cellMostRecentTimeWindowIdMap.size} level-${PRECISION_MAX} cells`);
+
+    for (const radius of radii) {
+      const squareScan = time(() => scoreWithSquareScan(cellMostRecentTimeWindowIdMap, anchors, radius));
+      const cellIndex = time(() => scoreWithCellIndex(cellMostRecentTimeWindowIdMap, anchors, radius));
+      const expectedScores = scoreWithCircularScan(cellMostRecentTimeWindowIdMap, anchors, radius);
+      const mismatches = cellIndex.result.filter((score, i) => score !== expectedScores[i]).length;
+      const speedup = squareScan.ms / Math.max(cellIndex.ms, 0.001);
+      const comparison = speedup >= 1 ? `${speedup.toFixed(1)}x faster` : `${(1 / speedup).toFixed(1)}x slower`;
+      Log.info(`  radius ${radius}: square scan ${squareScan.ms.toFixed(1)}ms, cell index ${cellIndex.ms.toFixed(1)}ms (${comparison}), ${mismatches} mismatches against a circular scan`);
+      if (mismatches > 0) process.exitCode = 1;
+    }
+  }
+}
+
+runBenchmark({
+  alertCounts: parseList(process.env.BENCHMARK_ALERT_COUNTS, [10000, 50000, 200000]),
+  radii: parseList(process.env.BENCHMARK_RADII, [0.00001, 0.000025, 0.00005, 0.0001]),
+  seed: parseInt(process.env.BENCHMARK_SEED || "1", 10),
+});
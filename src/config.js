@@ -1,17 +1,91 @@
+const os = require("os");
+const Path = require("path");
 const Log = require("./log")
+const { SOURCE_NAMES } = require("./sources");
+const Geo = require("./geo");
+
+const MAX_DIVERSITY_RADIUS = 0.001; // Neighbourhood scans grow quadratically with the radius
+const MAX_HOTSPOT_RADIUS = 0.01; // Larger radii chain whole suburbs into one cluster
+const MAX_INCIDENT_MERGE_RADIUS = 0.01;
+const GRID_WEIGHTINGS = ["alert", "incident", "duration"];
+const DIVERSITY_WEIGHTINGS = ["reliability", "confidence", "combined"];
+const MAX_RELIABILITY = 10; // Waze reliability runs from 0 to 10
+const MIN_ADMIN_API_TOKEN_LENGTH = 16;
+const API_AUTH_MODES = ["none", "api_key"];
+const GRID_LEVEL_COUNT = 6; // Grid levels 0 to 5, API quotas are given per level
+
+const isStrictlyIncreasing = (values) => values.every((value, index) => index === 0 || value > values[index - 1]);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isPerLevelList = (values) => values.length === GRID_LEVEL_COUNT && values.every((value) => value > 0);
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A region is { name, bbox: { top, bottom, left, right } } or { name, polygon: [[lon, lat], ...] },
+// optionally with its own updateIntervalMs and maxAlerts
+function isValidRegion(region) {
+  if (!region || typeof region.name !== "string" || !/^[A-Za-z0-9_-]+$/.test(region.name)) return false;
+  if (region.updateIntervalMs !== undefined && !isPositiveInteger(region.updateIntervalMs)) return false;
+  if (region.maxAlerts !== undefined && !isPositiveInteger(region.maxAlerts)) return false;
+  if (region.polygon !== undefined) return region.bbox === undefined && Geo.isValidPolygon(region.polygon);
+  const { bbox } = region;
+  return !!bbox && ["top", "bottom", "left", "right"].every((side) => typeof bbox[side] === "number") && bbox.top > bbox.bottom && bbox.right > bbox.left;
+}
+
+const REGION_AREA_KEYS = ["WAZE_AREA_TOP", "WAZE_AREA_BOTTOM", "WAZE_AREA_LEFT", "WAZE_AREA_RIGHT"];
 
 const envSettings = [
   { key: "HEATMAP_CACHE_DIR_PATH", type: "string", required: true, validate: (val) => val && val.length > 0, errorMsg: "must be a non-empty string" },
-  { key: "WAZE_MAX_ALERTS", type: "integer", required: true },
-  { key: "WAZE_AREA_TOP", type: "float", required: true },
-  { key: "WAZE_AREA_BOTTOM", type: "float", required: true },
-  { key: "WAZE_AREA_LEFT", type: "float", required: true },
-  { key: "WAZE_AREA_RIGHT", type: "float", required: true },
+  { key: "WAZE_MAX_ALERTS", type: "integer", required: false, default: 200, validate: (val) => val > 0, errorMsg: "must be a positive number of alerts" },
+  { key: "WAZE_REGIONS", type: "json", required: false, validate: (val) => Array.isArray(val) && val.length > 0 && val.every(isValidRegion) && new Set(val.map((region) => region.name)).size === val.length, errorMsg: "must be a JSON array of uniquely named regions with a bbox ({ top, bottom, left, right }) or a polygon ([[lon, lat], ...])" },
+  { key: "WAZE_AREA_TOP", type: "float", required: false },
+  { key: "WAZE_AREA_BOTTOM", type: "float", required: false },
+  { key: "WAZE_AREA_LEFT", type: "float", required: false },
+  { key: "WAZE_AREA_RIGHT", type: "float", required: false },
   { key: "WAZE_QUERY_DELAY_MS", type: "integer", required: true },
+  { key: "ALERT_SOURCE", type: "string", required: false, default: "waze-georss", validate: (val) => SOURCE_NAMES.includes(val), errorMsg: `must be one of: ${SOURCE_NAMES.join(", ")}` },
+  { key: "WAZE_BASE_URL", type: "string", required: false, default: "https://www.waze.com/live-map/api/georss", validate: (val) => /^https?:\/\/\S+$/.test(val), errorMsg: "must be an http(s) URL" },
+  { key: "WAZE_RETRY_DELAYS_MS", type: "list", itemType: "integer", required: false, default: [5000, 10000, 30000], validate: (val) => val.every((delay) => delay >= 0), errorMsg: "must be a comma-separated list of non-negative delays" },
+  { key: "INCIDENT_MERGE_RADIUS", type: "float", required: false, default: 0.0005, validate: (val) => val >= 0 && val <= MAX_INCIDENT_MERGE_RADIUS, errorMsg: `must be a radius in degrees between 0 and ${MAX_INCIDENT_MERGE_RADIUS}` },
+  { key: "INCIDENT_MERGE_WINDOW_MS", type: "integer", required: false, default: 1000 * 60 * 30, validate: (val) => val >= 0, errorMsg: "must be a non-negative number of milliseconds" },
   { key: "API_PORT", type: "integer", required: false, default: 3000 },
+  { key: "ADMIN_API_TOKEN", type: "string", required: false, validate: (val) => val.length >= MIN_ADMIN_API_TOKEN_LENGTH, errorMsg: `must be at least ${MIN_ADMIN_API_TOKEN_LENGTH} characters` },
+  { key: "API_AUTH", type: "string", required: false, default: "none", validate: (val) => API_AUTH_MODES.includes(val), errorMsg: `must be one of: ${API_AUTH_MODES.join(", ")}` },
+  { key: "API_RATE_LIMIT_PER_MINUTE", type: "integer", required: false, default: 300, validate: (val) => val > 0, errorMsg: "must be a positive number of requests" },
+  { key: "API_MAX_BBOX_AREA_BY_LEVEL", type: "list", itemType: "float", required: false, default: [64800, 64800, 64800, 400, 25, 1], validate: isPerLevelList, errorMsg: `must be a comma-separated list of ${GRID_LEVEL_COUNT} positive areas in square degrees, one per grid level` },
+  { key: "API_MAX_CELLS_BY_LEVEL", type: "list", itemType: "integer", required: false, default: [100000, 100000, 100000, 100000, 100000, 100000], validate: isPerLevelList, errorMsg: `must be a comma-separated list of ${GRID_LEVEL_COUNT} positive cell counts, one per grid level` },
   { key: "DB_FILENAME", type: "string", required: false, default: "alerts.sqlite" },
+  { key: "LOG_LEVEL", type: "string", required: false, default: "info", validate: (val) => Log.LEVEL_NAMES.includes(val), errorMsg: `must be one of: ${Log.LEVEL_NAMES.join(", ")}` },
+  { key: "LOG_FORMAT", type: "string", required: false, default: "pretty", validate: (val) => Log.FORMATS.includes(val), errorMsg: `must be one of: ${Log.FORMATS.join(", ")}` },
+  { key: "LOG_FILENAME", type: "string", required: false, validate: (val) => /^[A-Za-z0-9_.-]+$/.test(val) && !/^\.+$/.test(val), errorMsg: "must be a file name inside HEATMAP_CACHE_DIR_PATH" },
+  { key: "LOG_FILE_MAX_BYTES", type: "integer", required: false, default: 1024 * 1024 * 10, validate: (val) => val > 0, errorMsg: "must be a positive number of bytes" },
+  { key: "LOG_FILE_MAX_FILES", type: "integer", required: false, default: 5, validate: (val) => val > 0, errorMsg: "must be a positive number of rotated files" },
   { key: "WAZE_UPDATE_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 10 },
   { key: "GRID_UPDATE_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 24 },
+  { key: "GRID_FULL_REBUILD_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 24, validate: (val) => val > 0, errorMsg: "must be a positive number of milliseconds" },
+  { key: "GRID_DIVERSITY_WEIGHTINGS", type: "list", required: false, default: ["reliability", "confidence"], validate: (val) => val.every((weighting) => DIVERSITY_WEIGHTINGS.includes(weighting)) && new Set(val).size === val.length, errorMsg: `must be a comma-separated list of distinct weightings out of: ${DIVERSITY_WEIGHTINGS.join(", ")}` },
+  { key: "GRID_MIN_RELIABILITY", type: "integer", required: false, default: 0, validate: (val) => val >= 0 && val <= MAX_RELIABILITY, errorMsg: `must be a reliability between 0 and ${MAX_RELIABILITY}` },
+  { key: "GRID_WORKER_THREADS", type: "integer", required: false, default: os.cpus().length, validate: (val) => val > 0, errorMsg: "must be a positive number of threads" },
+  { key: "GRID_ALERT_TYPES", type: "list", required: false, default: ["POLICE"], validate: (val) => val.length > 0 && val.every((type) => /^[A-Z_]+$/.test(type)), errorMsg: "must be a comma-separated list of upper-case Waze alert types" },
+  { key: "GRID_TIME_WINDOW_DAYS", type: "list", itemType: "integer", required: false, default: [7, 14, 30, 90], validate: (val) => val.length > 0 && val[0] > 0 && isStrictlyIncreasing(val), errorMsg: "must be a comma-separated list of increasing positive day counts" },
+  { key: "GRID_DIVERSITY_RADII", type: "list", itemType: "float", required: false, default: [0.00001, 0.000025, 0.00005, 0.0001], validate: (val) => val.length > 0 && val.every((radius) => radius > 0 && radius <= MAX_DIVERSITY_RADIUS), errorMsg: `must be a comma-separated list of radii in degrees between 0 and ${MAX_DIVERSITY_RADIUS}` },
+  { key: "GRID_WEIGHTING", type: "string", required: false, default: "alert", validate: (val) => GRID_WEIGHTINGS.includes(val), errorMsg: `must be one of: ${GRID_WEIGHTINGS.join(", ")}` },
+  { key: "GRID_HOTSPOT_RADIUS", type: "float", required: false, default: 0.0005, validate: (val) => val > 0 && val <= MAX_HOTSPOT_RADIUS, errorMsg: `must be a radius in degrees between 0 and ${MAX_HOTSPOT_RADIUS}` },
+  { key: "GRID_TIMEZONE", type: "string", required: false, default: Intl.DateTimeFormat().resolvedOptions().timeZone, validate: isValidTimeZone, errorMsg: "must be an IANA time zone such as Australia/Brisbane" },
+  { key: "GRID_HOTSPOT_MIN_ALERTS", type: "integer", required: false, default: 5, validate: (val) => val >= 2, errorMsg: "must be an alert count of at least 2" },
+  { key: "SPEED_CAMERAS_SOURCE_DIR_PATH", type: "string", required: false, default: "./speed-cameras", validate: (val) => val && val.length > 0, errorMsg: "must be a non-empty string" },
+  { key: "SPEED_CAMERAS_UPDATE_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 24 },
+  { key: "ALERT_RETENTION_DAYS", type: "integer", required: false, default: 365, validate: (val) => val >= 0, errorMsg: "must be a non-negative number of days, 0 keeps every alert" },
+  { key: "ALERT_RETENTION_UPDATE_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 24, validate: (val) => val > 0, errorMsg: "must be a positive number of milliseconds" },
+  { key: "ALERT_RETENTION_VACUUM_INTERVAL_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 24 * 7, validate: (val) => val > 0, errorMsg: "must be a positive number of milliseconds" },
+  { key: "HEALTH_MAX_ALERT_AGE_MS", type: "integer", required: false, default: 1000 * 60 * 60, validate: (val) => val > 0, errorMsg: "must be a positive number of milliseconds" },
+  { key: "HEALTH_MAX_GRID_AGE_MS", type: "integer", required: false, default: 1000 * 60 * 60 * 2, validate: (val) => val > 0, errorMsg: "must be a positive number of milliseconds" },
 ];
 
 const config = {};
@@ -46,6 +120,25 @@ envSettings.forEach((setting) => {
     case "string":
       parsedValue = value; // Already a string
       break;
+    case "list":
+      parsedValue = value
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0);
+      if (setting.itemType === "integer" || setting.itemType === "float") {
+        parsedValue = parsedValue.map((item) => (setting.itemType === "integer" ? parseInt(item, 10) : parseFloat(item)));
+        if (parsedValue.some((item) => isNaN(item))) {
+          errors.push(`Invalid value for ${setting.key}: expected comma-separated list of ${setting.itemType}s, got "${value}"`);
+        }
+      }
+      break;
+    case "json":
+      try {
+        parsedValue = JSON.parse(value);
+      } catch (error) {
+        errors.push(`Invalid value for ${setting.key}: expected JSON, got "${value}"`);
+      }
+      break;
     default:
       errors.push(`Internal error: Unknown type definition for ${setting.key}: ${setting.type}`);
       return;
@@ -60,10 +153,44 @@ envSettings.forEach((setting) => {
   }
 });
 
+// Without WAZE_REGIONS the single WAZE_AREA box is monitored as the "default" region
+if (process.env.WAZE_REGIONS === undefined) {
+  const missingAreaKeys = REGION_AREA_KEYS.filter((key) => process.env[key] === undefined);
+  if (missingAreaKeys.length > 0) {
+    errors.push(`Missing required environment variable: WAZE_REGIONS (or all of ${REGION_AREA_KEYS.join(", ")}; missing ${missingAreaKeys.join(", ")})`);
+  } else {
+    config.WAZE_REGIONS = [{ name: "default", bbox: { top: config.WAZE_AREA_TOP, bottom: config.WAZE_AREA_BOTTOM, left: config.WAZE_AREA_LEFT, right: config.WAZE_AREA_RIGHT } }];
+  }
+}
+
+// Regions are normalised to { name, top, bottom, left, right, polygon, updateIntervalMs, maxAlerts }, polygon regions use their bounding box
+if (config.WAZE_REGIONS) {
+  config.WAZE_REGIONS = config.WAZE_REGIONS.map((region) => ({
+    name: region.name,
+    ...(region.polygon ? Geo.getPolygonBounds(region.polygon) : region.bbox),
+    polygon: region.polygon || null,
+    updateIntervalMs: region.updateIntervalMs || config.WAZE_UPDATE_INTERVAL_MS,
+    maxAlerts: region.maxAlerts || config.WAZE_MAX_ALERTS,
+  }));
+}
+
+// Incremental grid updates read the alerts leaving the oldest time window, so they must not be pruned before then
+if (config.ALERT_RETENTION_DAYS > 0 && config.GRID_TIME_WINDOW_DAYS && config.ALERT_RETENTION_DAYS < config.GRID_TIME_WINDOW_DAYS[config.GRID_TIME_WINDOW_DAYS.length - 1]) {
+  errors.push(`Invalid value for ALERT_RETENTION_DAYS: must be 0 or at least the oldest grid time window (${config.GRID_TIME_WINDOW_DAYS[config.GRID_TIME_WINDOW_DAYS.length - 1]} days). Got "${config.ALERT_RETENTION_DAYS}"`);
+}
+
 if (errors.length > 0) {
   Log.error("FATAL: Environment variable configuration errors:");
   errors.forEach((err) => Log.error(`- ${err}`));
   process.exit(1);
 }
 
+Log.configure({
+  level: config.LOG_LEVEL,
+  format: config.LOG_FORMAT,
+  filePath: config.LOG_FILENAME ? Path.join(config.HEATMAP_CACHE_DIR_PATH, config.LOG_FILENAME) : null,
+  fileMaxBytes: config.LOG_FILE_MAX_BYTES,
+  fileMaxFiles: config.LOG_FILE_MAX_FILES,
+});
+
 module.exports = config;
@@ -0,0 +1,74 @@
+// Planar geometry helpers for lon/lat polygons given as [[lon, lat], ...] (implicitly closed)
+
+function isValidPolygon(polygon) {
+  return Array.isArray(polygon) && polygon.length >= 3 && polygon.every((point) => Array.isArray(point) && point.length === 2 && point.every((value) => typeof value === "number" && isFinite(value)));
+}
+
+// Ray casting
+function pointInPolygon(lon, lat, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function segmentsIntersect([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  return d1 * d2 <= 0 && d3 * d4 <= 0;
+}
+
+// area is { top, bottom, left, right }
+function rectIntersectsPolygon(area, polygon) {
+  const corners = [
+    [area.left, area.top],
+    [area.right, area.top],
+    [area.right, area.bottom],
+    [area.left, area.bottom],
+  ];
+  if (corners.some(([lon, lat]) => pointInPolygon(lon, lat, polygon))) return true;
+  if (polygon.some(([lon, lat]) => lon >= area.left && lon <= area.right && lat >= area.bottom && lat <= area.top)) return true;
+  for (let i = 0; i < polygon.length; i++) {
+    const start = polygon[i];
+    const end = polygon[(i + 1) % polygon.length];
+    for (let c = 0; c < corners.length; c++) {
+      if (segmentsIntersect(start, end, corners[c], corners[(c + 1) % corners.length])) return true;
+    }
+  }
+  return false;
+}
+
+function getPolygonBounds(polygon) {
+  const lons = polygon.map(([lon]) => lon);
+  const lats = polygon.map(([, lat]) => lat);
+  return { top: Math.max(...lats), bottom: Math.min(...lats), left: Math.min(...lons), right: Math.max(...lons) };
+}
+
+// Area-weighted centroid (shoelace), falls back to the vertex average for degenerate polygons
+function getPolygonCentroid(polygon) {
+  let area = 0;
+  let lonSum = 0;
+  let latSum = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x0, y0] = polygon[i];
+    const [x1, y1] = polygon[(i + 1) % polygon.length];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross;
+    lonSum += (x0 + x1) * cross;
+    latSum += (y0 + y1) * cross;
+  }
+  if (area === 0) {
+    return { lon: polygon.reduce((sum, [lon]) => sum + lon, 0) / polygon.length, lat: polygon.reduce((sum, [, lat]) => sum + lat, 0) / polygon.length };
+  }
+  return { lon: lonSum / (3 * area), lat: latSum / (3 * area) };
+}
+
+module.exports = { isValidPolygon, pointInPolygon, rectIntersectsPolygon, getPolygonBounds, getPolygonCentroid };
@@ -3,17 +3,41 @@
 */
 const Grid = require("./grid");
 const Log = require("./log");
+const Metrics = require("./metrics");
+
+const PROGRESS_REPORT_INTERVAL_MS = 1000;
+const FULL_REBUILD_ARG = "--full-rebuild"; // Passed by the scheduler when a full rebuild is requested over the admin API
+let lastProgressReportAt = 0;
+
+// Progress goes to the parent over IPC (logged directly when run standalone), at most once per interval
+function reportProgress({ stage, fraction }) {
+  const now = Date.now();
+  if (fraction < 1 && now - lastProgressReportAt < PROGRESS_REPORT_INTERVAL_MS) return;
+  lastProgressReportAt = now;
+  const message = { type: "progress", stage, percent: Math.floor(fraction * 100) };
+  if (process.send) {
+    process.send(message);
+  } else {
+    Log.info(`[Grid Runner] ${message.percent}% (${stage})`);
+  }
+}
 
 async function runGridTask() {
   try {
     Log.info("[Grid Runner] Starting grid update task.");
-    await Grid.updateGrids();
+    await Grid.updateGrids(reportProgress, { fullRebuild: process.argv.slice(2).includes(FULL_REBUILD_ARG) });
     Log.info("[Grid Runner] Grid update task completed successfully.");
+    await Metrics.flush();
     process.exit(0); // Success
   } catch (error) {
     Log.error("[Grid Runner] Error during grid update task:", error);
+    await Metrics.flush();
     process.exit(1); // Failure
   }
 }
 
+// Metrics are sent to the parent, which serves them on /metrics
+Metrics.forwardToParentProcess();
+// A run cancelled over the admin API delivers its metrics first, then stops by the same signal so the parent still sees it as cancelled
+process.once("SIGTERM", () => Metrics.flush().then(() => process.kill(process.pid, "SIGTERM")));
 runGridTask();
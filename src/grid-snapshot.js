@@ -0,0 +1,26 @@
+// Builds the grids as of a past date under a name: npm run grid:snapshot -- <name> [date]
+// The date is an ISO 8601 date or epoch milliseconds, without one the snapshot is taken as of the newest alert
+require("dotenv").config();
+const Grid = require("./grid");
+const Log = require("./log");
+
+const [snapshotName, referenceArg] = process.argv.slice(2);
+const referenceTimestamp = referenceArg === undefined ? null : /^\d+$/.test(referenceArg) ? Number(referenceArg) : Date.parse(referenceArg);
+if (snapshotName === undefined || Number.isNaN(referenceTimestamp)) {
+  Log.error("Usage: npm run grid:snapshot -- <name> [ISO 8601 date or epoch milliseconds]");
+  process.exit(1);
+}
+
+let lastStage = null;
+function logProgress({ stage, fraction }) {
+  if (stage === lastStage) return;
+  lastStage = stage;
+  Log.info(`[Grid Snapshot] ${Math.floor(fraction * 100)}% (${stage})`);
+}
+
+Grid.buildSnapshot(snapshotName, referenceTimestamp, logProgress)
+  .then(() => Log.info(`Grid snapshot "${snapshotName}" is complete.`))
+  .catch((error) => {
+    Log.error(`FATAL: Could not build grid snapshot: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+/*
+  -- This script is intended to be run as a worker thread of grid.js --
+  Scores every level-5 cell for one diversity radius, plain and for each weighting. The cell arrays are shared with the other radius groups' workers.
+*/
+const { parentPort, workerData } = require("worker_threads");
+const SpatialIndex = require("./spatial-index");
+
+const PROGRESS_INTERVAL_CELLS = 5000;
+
+const { lons, lats, timeWindowIds, weights, radiusInCells, timeWindowCount } = workerData;
+const cellCount = lons.length;
+const bucketSize = Math.max(1, Math.ceil(radiusInCells));
+
+const cellIndex = SpatialIndex.createCellIndex(bucketSize);
+for (let i = 0; i < cellCount; i++) {
+  cellIndex.add(lons[i], lats[i], timeWindowIds[i]);
+}
+
+// Weighted scores need every cell in the radius, so they scan a second index holding cell positions instead of time windows
+const positionIndex = weights.length > 0 ? SpatialIndex.createCellIndex(bucketSize) : null;
+if (positionIndex) {
+  for (let i = 0; i < cellCount; i++) {
+    positionIndex.add(lons[i], lats[i], i);
+  }
+}
+
+const scores = new Uint16Array(cellCount);
+const weightedScores = weights.map(() => new Float64Array(cellCount));
+for (let i = 0; i < cellCount; i++) {
+  scores[i] = SpatialIndex.countDistinctWithinRadius(cellIndex, lons[i], lats[i], radiusInCells, timeWindowCount);
+  if (positionIndex) {
+    const sums = SpatialIndex.sumMaxWeightPerValueWithinRadius(positionIndex, lons[i], lats[i], radiusInCells, timeWindowIds, weights, timeWindowCount);
+    sums.forEach((sum, k) => (weightedScores[k][i] = sum));
+  }
+  if ((i + 1) % PROGRESS_INTERVAL_CELLS === 0) {
+    parentPort.postMessage({ type: "progress", processed: i + 1, total: cellCount });
+  }
+}
+
+parentPort.postMessage({ type: "result", scores, weightedScores }, [scores.buffer, ...weightedScores.map((array) => array.buffer)]);
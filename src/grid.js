@@ -1,23 +1,81 @@
 const Database = require("better-sqlite3");
+const Path = require("path");
+const { Worker } = require("worker_threads");
 const config = require("./config");
 const Log = require("./log")
+const Migrate = require("./migrate");
+const SpatialIndex = require("./spatial-index");
+const Metrics = require("./metrics");
 
 // Constants
 const PRECISION = { MAX: 5, MIN: 0 };
 const DAY_MS = 86400000; // 24h in milliseconds
+const MINUTE_MS = 60000;
 const CACHE_DIR = config.HEATMAP_CACHE_DIR_PATH;
 const DB_FILE = config.DB_FILENAME;
+const ALERT_TYPES = config.GRID_ALERT_TYPES;
+const FULL_REBUILD_INTERVAL_MS = config.GRID_FULL_REBUILD_INTERVAL_MS;
+const WORKER_THREADS = config.GRID_WORKER_THREADS;
+const GRID_WORKER_PATH = Path.resolve(__dirname, "grid-worker.js");
 
-// New: Hardcoded diversity radii
-const DIVERSITY_RADII = [0.00001, 0.000025, 0.00005, 0.0001];
+// Changed cells are grouped into squares of this many level-5 cells (~1km) so nearby changes share one alert query
+const INCREMENTAL_BUCKET_CELLS = 1000;
 
-// Time window definitions
-const TIME_WINDOWS = [
-  { id: 0, name: "last 7 days", daysAgoStart: 0, daysAgoEnd: 7 },
-  { id: 1, name: "7-14 days ago", daysAgoStart: 7, daysAgoEnd: 14 },
-  { id: 2, name: "14-30 days ago", daysAgoStart: 14, daysAgoEnd: 30 },
-  { id: 3, name: "30-90 days ago", daysAgoStart: 30, daysAgoEnd: 90 },
-];
+// Diversity radii in degrees, the index is the radius group ID
+const DIVERSITY_RADII = config.GRID_DIVERSITY_RADII;
+// Shape of the area around an anchor cell that counts towards its score, stored so older grids are rebuilt rather than patched
+const DIVERSITY_NEIGHBOURHOOD = "circle";
+
+// Diversity is scored as the plain count of distinct time windows, and as each weighted variant, see ALERT_SCORE_WEIGHTS
+const SCORE_WEIGHTINGS = config.GRID_DIVERSITY_WEIGHTINGS;
+const DIVERSITY_WEIGHTINGS = ["count", ...SCORE_WEIGHTINGS];
+
+// How well an alert is confirmed, between 0 and 1. Waze reliability runs from 0 to 10 and confidence from 0 to 5,
+// alerts without a value are not held against.
+const ALERT_SCORE_WEIGHTS = {
+  reliability: (alert) => (alert.reliability === null ? 1 : Math.min(alert.reliability / 10, 1)),
+  confidence: (alert) => (alert.confidence === null ? 1 : Math.min((alert.confidence + 1) / 6, 1)),
+  combined: (alert) => ALERT_SCORE_WEIGHTS.reliability(alert) * ALERT_SCORE_WEIGHTS.confidence(alert),
+};
+
+// What the grids count, see getAlertWeight. With incident weighting every grid product only reads the first report of each incident.
+const WEIGHTING = config.GRID_WEIGHTING;
+// Alerts below the minimum reliability are left out of every grid product
+const MIN_RELIABILITY = config.GRID_MIN_RELIABILITY;
+const ALERT_FILTER_SQL = [WEIGHTING === "incident" ? "AND incident_id = rowid" : "", MIN_RELIABILITY > 0 ? `AND (reliability IS NULL OR reliability >= ${MIN_RELIABILITY})` : ""].join(" ");
+
+// Local time zone of the hour-of-week profiles, hours of the week start on Monday 00:00
+const TIMEZONE = config.GRID_TIMEZONE;
+const WEEKDAY_IDS = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+
+// Hotspot clustering parameters, in degrees and alerts
+const HOTSPOT_RADIUS = config.GRID_HOTSPOT_RADIUS;
+const HOTSPOT_MIN_ALERTS = config.GRID_HOTSPOT_MIN_ALERTS;
+const HOTSPOT_PARAMETERS = { radius: HOTSPOT_RADIUS, minAlerts: HOTSPOT_MIN_ALERTS };
+
+// Time window definitions, built from the configured day boundaries (e.g. 7,14,30,90)
+const TIME_WINDOWS = config.GRID_TIME_WINDOW_DAYS.map((daysAgoEnd, id, boundaries) => {
+  const daysAgoStart = id === 0 ? 0 : boundaries[id - 1];
+  const name = id === 0 ? `last ${daysAgoEnd} days` : `${daysAgoStart}-${daysAgoEnd} days ago`;
+  return { id, name, daysAgoStart, daysAgoEnd };
+});
+
+// Definitions a generation is built with. The live generation's are kept in metadata, each snapshot stores its own.
+const GRID_DEFINITIONS = {
+  grid_alert_types: ALERT_TYPES,
+  grid_time_windows: TIME_WINDOWS,
+  grid_diversity_radii: DIVERSITY_RADII,
+  grid_diversity_neighbourhood: DIVERSITY_NEIGHBOURHOOD,
+  grid_diversity_weightings: DIVERSITY_WEIGHTINGS,
+  grid_min_reliability: MIN_RELIABILITY,
+  grid_hotspots: HOTSPOT_PARAMETERS,
+  grid_timezone: TIMEZONE,
+  grid_weighting: WEIGHTING,
+};
+
+// Snapshots are named like regions, the name is used in API query strings
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
 
 // Helper functions
 function scaleCoordinate(coord, precision) {
@@ -25,35 +83,99 @@ function scaleCoordinate(coord, precision) {
   return Math.trunc(coord * 10 ** precision);
 }
 
-function initializeDatabase(db) {
-  db.exec(`CREATE TABLE IF NOT EXISTS alerts (uuid TEXT PRIMARY KEY, pubMillis INTEGER, latitude REAL, longitude REAL, confidence INTEGER, reliability INTEGER)`);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_alerts_pubMillis ON alerts (pubMillis)`);
-
-  // Density grids table removed
-  // db.exec(`DROP TABLE IF EXISTS density_grids`);
-  // db.exec(`CREATE TABLE density_grids (time_window_id INTEGER NOT NULL, level INTEGER NOT NULL, lon_scaled INTEGER NOT NULL, lat_scaled INTEGER NOT NULL, density INTEGER NOT NULL, PRIMARY KEY (time_window_id, level, lon_scaled, lat_scaled))`);
-  // db.exec(`CREATE INDEX IF NOT EXISTS idx_density_grids_coords ON density_grids (time_window_id, level, lon_scaled, lat_scaled)`);
-
-  db.exec(`DROP TABLE IF EXISTS temporal_diversity_grids`);
-  db.exec(`
-    CREATE TABLE temporal_diversity_grids (
-      radius_group_id INTEGER NOT NULL, -- New column
-      level INTEGER NOT NULL,
-      lon_scaled INTEGER NOT NULL,
-      lat_scaled INTEGER NOT NULL,
-      diversity_score INTEGER NOT NULL,
-      PRIMARY KEY (radius_group_id, level, lon_scaled, lat_scaled) -- Updated PK
-    )
-  `);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_temporal_diversity_grids_coords ON temporal_diversity_grids (radius_group_id, level, lon_scaled, lat_scaled)`);
+function deleteGenerationRows(db, generationId) {
+  db.prepare(`DELETE FROM temporal_diversity_grids WHERE generation_id = ?`).run(generationId);
+  db.prepare(`DELETE FROM density_grids WHERE generation_id = ?`).run(generationId);
+  db.prepare(`DELETE FROM hotspots WHERE generation_id = ?`).run(generationId);
+  db.prepare(`DELETE FROM profile_grids WHERE generation_id = ?`).run(generationId);
+}
+
+// Local weekday * 24 + hour of an instant in TIMEZONE. UTC offsets are whole quarter hours, so results are cached per quarter hour.
+const localTimeFormat = new Intl.DateTimeFormat("en-US", { timeZone: TIMEZONE, weekday: "short", hour: "numeric", hourCycle: "h23" });
+const hourOfWeekCache = new Map();
+function getLocalHourOfWeek(pubMillis) {
+  const quarterHour = Math.floor(pubMillis / QUARTER_HOUR_MS);
+  let hourOfWeek = hourOfWeekCache.get(quarterHour);
+  if (hourOfWeek === undefined) {
+    const parts = localTimeFormat.formatToParts(quarterHour * QUARTER_HOUR_MS);
+    const weekday = parts.find((part) => part.type === "weekday").value;
+    const hour = parseInt(parts.find((part) => part.type === "hour").value, 10);
+    hourOfWeek = WEEKDAY_IDS[weekday] * 24 + hour;
+    hourOfWeekCache.set(quarterHour, hourOfWeek);
+  }
+  return hourOfWeek;
+}
 
-  // Metadata table
-  db.exec(`CREATE TABLE IF NOT EXISTS metadata (key TEXT PRIMARY KEY, value TEXT)`);
+// Sums level-5 counts keyed by bucketId_lonScaled_latScaled into every parent level, as a Map of level to counts
+function aggregateToParentLevels(levelMaxCellCounts) {
+  const countsByLevel = new Map([[PRECISION.MAX, levelMaxCellCounts]]);
+  let levelCellCounts = levelMaxCellCounts;
+  for (let level = PRECISION.MAX - 1; level >= PRECISION.MIN; level--) {
+    const parentCellCounts = new Map();
+    levelCellCounts.forEach((count, key) => {
+      const [bucketId, lonScaled, latScaled] = key.split("_").map(Number);
+      const parentCellKey = `${bucketId}_${Math.trunc(lonScaled / 10)}_${Math.trunc(latScaled / 10)}`;
+      parentCellCounts.set(parentCellKey, (parentCellCounts.get(parentCellKey) || 0) + count);
+    });
+    countsByLevel.set(level, parentCellCounts);
+    levelCellCounts = parentCellCounts;
+  }
+  return countsByLevel;
 }
 
-// --- Density Grid Generation Logic (REMOVED) ---
+// Starts a new grid generation, the schema itself is owned by the migrations in ./migrations
+function initializeDatabase(db, snapshotName = null) {
+  Migrate.assertSchemaUpToDate(db);
 
-// --- Temporal Diversity Grid Generation Logic ---
+  // Rows of generations that never went live (e.g. an interrupted rebuild) are never served. Live rebuilds and snapshot
+  // builds only discard their own kind, so a snapshot can be built while the live grid is updated.
+  const abandonedGenerations = db.prepare(`SELECT generation_id FROM grid_generations WHERE status = 'building' AND snapshot_name IS ?`).all(snapshotName);
+  for (const { generation_id } of abandonedGenerations) {
+    deleteGenerationRows(db, generation_id);
+    db.prepare(`UPDATE grid_generations SET status = 'abandoned' WHERE generation_id = ?`).run(generation_id);
+    Log.warn(`Discarded incomplete grid generation ${generation_id}.`);
+  }
+
+  const { lastInsertRowid } = db.prepare(`INSERT INTO grid_generations (status, started_at, snapshot_name) VALUES ('building', ?, ?)`).run(Date.now(), snapshotName);
+  return Number(lastInsertRowid);
+}
+
+// Makes a fully built generation live in a single transaction, then removes the previous one
+function publishGeneration(db, generationId, referenceTimestamp, maxAlertRowid) {
+  const previousGenerations = db.prepare(`SELECT generation_id FROM grid_generations WHERE status = 'live'`).all();
+
+  const completedAt = Date.now();
+  db.transaction(() => {
+    db.prepare(`UPDATE grid_generations SET status = 'retired' WHERE status = 'live'`).run();
+    db.prepare(`UPDATE grid_generations SET status = 'live', reference_timestamp = ?, max_alert_rowid = ?, completed_at = ?, updated_at = ? WHERE generation_id = ?`).run(referenceTimestamp, maxAlertRowid, completedAt, completedAt, generationId);
+    updateMetadata(db, referenceTimestamp, generationId, completedAt, completedAt);
+  })();
+  Log.info(`Grid generation ${generationId} is now live.`);
+
+  for (const { generation_id } of previousGenerations) {
+    deleteGenerationRows(db, generation_id);
+    Log.info(`Removed retired grid generation ${generation_id}.`);
+  }
+}
+
+// Stores a fully built generation under its snapshot name, replacing an earlier snapshot of that name
+function publishSnapshot(db, generationId, snapshotName, referenceTimestamp, maxAlertRowid) {
+  const previousGenerations = db.prepare(`SELECT generation_id FROM grid_generations WHERE status = 'snapshot' AND snapshot_name = ?`).all(snapshotName);
+
+  const completedAt = Date.now();
+  db.transaction(() => {
+    db.prepare(`UPDATE grid_generations SET status = 'retired' WHERE status = 'snapshot' AND snapshot_name = ?`).run(snapshotName);
+    db.prepare(`UPDATE grid_generations SET status = 'snapshot', reference_timestamp = ?, max_alert_rowid = ?, completed_at = ?, updated_at = ?, definitions = ? WHERE generation_id = ?`).run(referenceTimestamp, maxAlertRowid, completedAt, completedAt, JSON.stringify(GRID_DEFINITIONS), generationId);
+  })();
+  Log.info(`Grid generation ${generationId} is now snapshot "${snapshotName}".`);
+
+  for (const { generation_id } of previousGenerations) {
+    deleteGenerationRows(db, generation_id);
+    Log.info(`Removed replaced grid generation ${generation_id}.`);
+  }
+}
+
+// --- Shared Alert Loading ---
 function getTimeWindowIdSqlCase(referenceTimestamp) {
   let caseStatement = "CASE\n";
   for (const tw of TIME_WINDOWS) {
@@ -64,25 +186,326 @@ function getTimeWindowIdSqlCase(referenceTimestamp) {
   return caseStatement;
 }
 
-async function generateTemporalDiversityGridData(db, referenceTimestamp) {
-  Log.info("Starting temporal diversity grid generation for multiple radii...");
+// Same boundaries as getTimeWindowIdSqlCase, for alerts already loaded into JS
+function getTimeWindowId(pubMillis, referenceTimestamp) {
+  const timeWindow = TIME_WINDOWS.find((tw) => pubMillis >= referenceTimestamp - tw.daysAgoEnd * DAY_MS);
+  return timeWindow ? timeWindow.id : null;
+}
 
+// Alerts of a type that fall inside one of the time windows, tagged with their timeWindowId
+// Only rows up to maxAlertRowid are read, alerts stored while the grid is built are left for the next update.
+// Alerts published after the reference timestamp only exist for snapshots built as of a past date.
+function fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid) {
   const timeWindowIdCaseSql = getTimeWindowIdSqlCase(referenceTimestamp);
   const oldestTimeWindow = TIME_WINDOWS[TIME_WINDOWS.length - 1];
   const oldestRelevantPubMillis = referenceTimestamp - oldestTimeWindow.daysAgoEnd * DAY_MS;
 
-  Log.info("Temporal Diversity: Fetching alerts with time window IDs from DB...");
   const alertsWithSqlTimeWindow = db
     .prepare(
       `
-    SELECT uuid, pubMillis, latitude, longitude, (${timeWindowIdCaseSql}) AS timeWindowId 
+    SELECT uuid, pubMillis, last_seen, latitude, longitude, confidence, reliability, (${timeWindowIdCaseSql}) AS timeWindowId 
     FROM alerts 
-    WHERE latitude IS NOT NULL AND longitude IS NOT NULL AND pubMillis >= ? 
+    WHERE type = ? AND latitude IS NOT NULL AND longitude IS NOT NULL AND pubMillis >= ? AND pubMillis <= ? AND rowid <= ? ${ALERT_FILTER_SQL}
   `
     )
-    .all(oldestRelevantPubMillis);
+    .all(alertType, oldestRelevantPubMillis, referenceTimestamp, maxAlertRowid);
+
+  return alertsWithSqlTimeWindow.filter((a) => a.timeWindowId !== null);
+}
+
+// --- Density Grid Generation Logic ---
+// What an alert adds to the density and profile grids: 1, or the whole minutes it stayed live (at least 1) with duration weighting
+function getAlertWeight(alert) {
+  if (WEIGHTING !== "duration") return 1;
+  return Math.max(1, Math.round((alert.last_seen - alert.pubMillis) / MINUTE_MS));
+}
+
+// Weighted alert counts per level, keyed by bucketId_lonScaled_latScaled with the bucket (time window or hour of the week) from getBucketId
+function getWeightedCellCounts(alerts, getBucketId) {
+  const levelMaxCellCounts = new Map();
+  for (const alert of alerts) {
+    const lonScaled = scaleCoordinate(alert.longitude, PRECISION.MAX);
+    const latScaled = scaleCoordinate(alert.latitude, PRECISION.MAX);
+    if (lonScaled === null || latScaled === null) continue;
+    const cellKey = `${getBucketId(alert)}_${lonScaled}_${latScaled}`;
+    levelMaxCellCounts.set(cellKey, (levelMaxCellCounts.get(cellKey) || 0) + getAlertWeight(alert));
+  }
+  return aggregateToParentLevels(levelMaxCellCounts);
+}
+
+const getDensityCounts = (alerts) => getWeightedCellCounts(alerts, (alert) => alert.timeWindowId);
+const getProfileCounts = (alerts) => getWeightedCellCounts(alerts, (alert) => getLocalHourOfWeek(alert.pubMillis));
+
+// Inserts the counts of a density-like grid table, whose cells are keyed by bucketColumn, callers run it inside a transaction
+function insertCellCounts(db, table, bucketColumn, generationId, alertType, countsByLevel) {
+  const insertStmt = db.prepare(`
+    INSERT INTO ${table} (generation_id, alert_type, ${bucketColumn}, level, lon_scaled, lat_scaled, density)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  countsByLevel.forEach((cellCounts, level) => {
+    cellCounts.forEach((density, key) => {
+      const [bucketId, lonScaled, latScaled] = key.split("_").map(Number);
+      insertStmt.run(generationId, alertType, bucketId, level, lonScaled, latScaled, density);
+    });
+  });
+}
+
+async function generateDensityGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType) {
+  Log.info(`Starting density grid generation for ${alertType} alerts...`);
+
+  const alertsInWindows = fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid);
+  if (alertsInWindows.length === 0) {
+    Log.info("Density: No alerts with time window data to process. Skipping.");
+    return;
+  }
+
+  // Count alerts per time window and cell at PRECISION.MAX, then sum children into parents level by level
+  try {
+    db.transaction(() => insertCellCounts(db, "density_grids", "time_window_id", generationId, alertType, getDensityCounts(alertsInWindows)))();
+  } catch (error) {
+    Log.error(`Density: Error inserting ${alertType} density grids:`, error);
+    throw error; // An incomplete generation must not go live
+  }
+  Log.info(`Density grid generation for ${alertType} alerts complete (${alertsInWindows.length} alerts).`);
+}
+
+// --- Hour-of-Week Profile Grid Generation Logic ---
+// Alerts of every time window counted per local hour of the week, so clients can sum any set of hours (e.g. Friday 22:00-02:00)
+async function generateProfileGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType) {
+  Log.info(`Starting hour-of-week profile grid generation for ${alertType} alerts (${TIMEZONE})...`);
+
+  const alertsInWindows = fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid);
+  if (alertsInWindows.length === 0) {
+    Log.info("Profile: No alerts with time window data to process. Skipping.");
+    return;
+  }
+
+  try {
+    db.transaction(() => insertCellCounts(db, "profile_grids", "hour_of_week", generationId, alertType, getProfileCounts(alertsInWindows)))();
+  } catch (error) {
+    Log.error(`Profile: Error inserting ${alertType} profile grids:`, error);
+    throw error; // An incomplete generation must not go live
+  }
+  Log.info(`Hour-of-week profile grid generation for ${alertType} alerts complete (${alertsInWindows.length} alerts).`);
+}
 
-  const validAlertsForDiversity = alertsWithSqlTimeWindow.filter((a) => a.timeWindowId !== null);
+// --- Hotspot Clustering ---
+// DBSCAN over the alerts in the time windows: an alert with at least HOTSPOT_MIN_ALERTS alerts (itself included) within
+// HOTSPOT_RADIUS is a core alert, core alerts within the radius of each other share a hotspot, along with the alerts around them.
+// Returns the member alerts of every cluster, alerts in no cluster are noise.
+function clusterAlerts(alerts) {
+  const UNVISITED = -2;
+  const NOISE = -1;
+  const cellResolution = Math.pow(10, -PRECISION.MAX);
+  const radiusInCells = HOTSPOT_RADIUS / cellResolution;
+
+  const points = [];
+  for (const alert of alerts) {
+    const lonScaled = scaleCoordinate(alert.longitude, PRECISION.MAX);
+    const latScaled = scaleCoordinate(alert.latitude, PRECISION.MAX);
+    if (lonScaled !== null && latScaled !== null) points.push({ alert, lonScaled, latScaled });
+  }
+  const pointIndex = SpatialIndex.createCellIndex(Math.max(1, Math.ceil(radiusInCells)));
+  points.forEach((point, i) => pointIndex.add(point.lonScaled, point.latScaled, i));
+
+  const getNeighbours = (i) => {
+    const neighbours = [];
+    pointIndex.forEachWithinRadius(points[i].lonScaled, points[i].latScaled, radiusInCells, (j) => {
+      neighbours.push(j);
+    });
+    return neighbours;
+  };
+
+  const labels = new Int32Array(points.length).fill(UNVISITED);
+  const clusters = [];
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== UNVISITED) continue;
+    const neighbours = getNeighbours(i);
+    if (neighbours.length < HOTSPOT_MIN_ALERTS) {
+      labels[i] = NOISE; // May still join a cluster later as a border alert
+      continue;
+    }
+
+    const clusterId = clusters.length;
+    const members = [];
+    const queue = neighbours;
+    labels[i] = clusterId;
+    members.push(points[i].alert);
+    while (queue.length > 0) {
+      const j = queue.pop();
+      if (labels[j] === NOISE) {
+        labels[j] = clusterId;
+        members.push(points[j].alert);
+        continue;
+      }
+      if (labels[j] !== UNVISITED) continue;
+      labels[j] = clusterId;
+      members.push(points[j].alert);
+      const neighboursOfJ = getNeighbours(j);
+      if (neighboursOfJ.length < HOTSPOT_MIN_ALERTS) continue;
+      for (const k of neighboursOfJ) {
+        if (labels[k] === UNVISITED || labels[k] === NOISE) queue.push(k);
+      }
+    }
+    clusters.push(members);
+  }
+  return clusters;
+}
+
+// Centroid, extent, alert count, first and last seen, and the local hour of day most alerts were published in
+function summarizeHotspot(members) {
+  const alertsPerHour = new Array(24).fill(0);
+  let lonSum = 0;
+  let latSum = 0;
+  const hotspot = { min_longitude: Infinity, min_latitude: Infinity, max_longitude: -Infinity, max_latitude: -Infinity, first_seen: Infinity, last_seen: -Infinity };
+  for (const alert of members) {
+    lonSum += alert.longitude;
+    latSum += alert.latitude;
+    hotspot.min_longitude = Math.min(hotspot.min_longitude, alert.longitude);
+    hotspot.min_latitude = Math.min(hotspot.min_latitude, alert.latitude);
+    hotspot.max_longitude = Math.max(hotspot.max_longitude, alert.longitude);
+    hotspot.max_latitude = Math.max(hotspot.max_latitude, alert.latitude);
+    hotspot.first_seen = Math.min(hotspot.first_seen, alert.pubMillis);
+    hotspot.last_seen = Math.max(hotspot.last_seen, alert.pubMillis);
+    alertsPerHour[getLocalHourOfWeek(alert.pubMillis) % 24]++;
+  }
+  const dominantHour = alertsPerHour.indexOf(Math.max(...alertsPerHour));
+  return {
+    ...hotspot,
+    centroid_longitude: lonSum / members.length,
+    centroid_latitude: latSum / members.length,
+    alert_count: members.length,
+    dominant_hour: dominantHour,
+    dominant_hour_share: alertsPerHour[dominantHour] / members.length,
+  };
+}
+
+// Hotspots of an alert type, largest first, hotspot IDs are their rank within the generation
+function findHotspots(db, referenceTimestamp, alertType, maxAlertRowid) {
+  const alertsInWindows = fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid);
+  const hotspots = clusterAlerts(alertsInWindows).map(summarizeHotspot);
+  hotspots.sort((a, b) => b.alert_count - a.alert_count || b.last_seen - a.last_seen);
+  return hotspots.map((hotspot, i) => ({ hotspot_id: i + 1, ...hotspot }));
+}
+
+// Replaces the hotspots of an alert type in a generation, callers run it inside a transaction
+function replaceHotspots(db, generationId, alertType, hotspots) {
+  db.prepare(`DELETE FROM hotspots WHERE generation_id = ? AND alert_type = ?`).run(generationId, alertType);
+  const insertStmt = db.prepare(`
+    INSERT INTO hotspots (generation_id, alert_type, hotspot_id, centroid_longitude, centroid_latitude, min_longitude, min_latitude, max_longitude, max_latitude, alert_count, first_seen, last_seen, dominant_hour, dominant_hour_share)
+    VALUES (@generation_id, @alert_type, @hotspot_id, @centroid_longitude, @centroid_latitude, @min_longitude, @min_latitude, @max_longitude, @max_latitude, @alert_count, @first_seen, @last_seen, @dominant_hour, @dominant_hour_share)
+  `);
+  for (const hotspot of hotspots) {
+    insertStmt.run({ generation_id: generationId, alert_type: alertType, ...hotspot });
+  }
+}
+
+function generateHotspotData(db, generationId, referenceTimestamp, maxAlertRowid, alertType) {
+  Log.info(`Starting hotspot clustering for ${alertType} alerts (radius ${HOTSPOT_RADIUS}, at least ${HOTSPOT_MIN_ALERTS} alerts)...`);
+  const hotspots = findHotspots(db, referenceTimestamp, alertType, maxAlertRowid);
+  try {
+    db.transaction(() => replaceHotspots(db, generationId, alertType, hotspots))();
+  } catch (error) {
+    Log.error(`Hotspots: Error inserting ${alertType} hotspots:`, error);
+    throw error; // An incomplete generation must not go live
+  }
+  Log.info(`Hotspot clustering for ${alertType} alerts complete (${hotspots.length} hotspots).`);
+}
+
+// --- Temporal Diversity Grid Generation Logic ---
+// Keeps the most recent time window of an alert's level-5 cell and, per score weighting, the largest weight among the cell's alerts in that window
+function addAlertToCell(cellMostRecentTimeWindowIdMap, cellWeightsMap, cellKey, timeWindowId, alert) {
+  const currentTWIDInMap = cellMostRecentTimeWindowIdMap.get(cellKey);
+  if (currentTWIDInMap !== undefined && timeWindowId > currentTWIDInMap) return;
+  const alertWeights = SCORE_WEIGHTINGS.map((weighting) => ALERT_SCORE_WEIGHTS[weighting](alert));
+  if (currentTWIDInMap === undefined || timeWindowId < currentTWIDInMap) {
+    cellMostRecentTimeWindowIdMap.set(cellKey, timeWindowId);
+    cellWeightsMap.set(cellKey, alertWeights);
+  } else {
+    const cellWeights = cellWeightsMap.get(cellKey);
+    alertWeights.forEach((weight, k) => (cellWeights[k] = Math.max(cellWeights[k], weight)));
+  }
+}
+
+// Cells of a most recent time window map, indexed for radius queries of about radiusInCells
+function createTimeWindowCellIndex(cellMostRecentTimeWindowIdMap, radiusInCells) {
+  const cellIndex = SpatialIndex.createCellIndex(Math.max(1, Math.ceil(radiusInCells)));
+  cellMostRecentTimeWindowIdMap.forEach((timeWindowId, cellKey) => {
+    const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+    cellIndex.add(lonScaled, latScaled, timeWindowId);
+  });
+  return cellIndex;
+}
+
+// Number of distinct most recent time windows among the cells within radiusInCells of an anchor cell
+function getDiversityScore(cellIndex, anchorLonScaled, anchorLatScaled, radiusInCells) {
+  return SpatialIndex.countDistinctWithinRadius(cellIndex, anchorLonScaled, anchorLatScaled, radiusInCells, TIME_WINDOWS.length);
+}
+
+// Level-5 cells as typed arrays over shared memory, so every worker reads the same copy. weights holds one array per score weighting.
+function toSharedCellArrays(cellMostRecentTimeWindowIdMap, cellWeightsMap) {
+  const cellCount = cellMostRecentTimeWindowIdMap.size;
+  const lons = new Int32Array(new SharedArrayBuffer(cellCount * Int32Array.BYTES_PER_ELEMENT));
+  const lats = new Int32Array(new SharedArrayBuffer(cellCount * Int32Array.BYTES_PER_ELEMENT));
+  const timeWindowIds = new Uint16Array(new SharedArrayBuffer(cellCount * Uint16Array.BYTES_PER_ELEMENT));
+  const weights = SCORE_WEIGHTINGS.map(() => new Float64Array(new SharedArrayBuffer(cellCount * Float64Array.BYTES_PER_ELEMENT)));
+  let i = 0;
+  cellMostRecentTimeWindowIdMap.forEach((timeWindowId, cellKey) => {
+    const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+    lons[i] = lonScaled;
+    lats[i] = latScaled;
+    timeWindowIds[i] = timeWindowId;
+    cellWeightsMap.get(cellKey).forEach((weight, k) => (weights[k][i] = weight));
+    i++;
+  });
+  return { lons, lats, timeWindowIds, weights };
+}
+
+// Resolves with the scores of every cell for one radius, one array per diversity weighting in DIVERSITY_WEIGHTINGS order.
+// onProgress receives the fraction of cells scored so far.
+function scoreCellsInWorker(cells, radiusInCells, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(GRID_WORKER_PATH, { workerData: { ...cells, radiusInCells, timeWindowCount: TIME_WINDOWS.length } });
+    let scores = null;
+    worker.on("message", (message) => {
+      if (message.type === "progress") {
+        onProgress(message.processed / message.total);
+      } else if (message.type === "result") {
+        scores = [message.scores, ...message.weightedScores];
+      }
+    });
+    worker.on("error", reject);
+    worker.on("exit", (code) => {
+      if (code === 0 && scores !== null) {
+        onProgress(1);
+        resolve(scores);
+      } else {
+        reject(new Error(`Grid worker for radius ${radiusInCells} cells exited with code ${code} before returning scores`));
+      }
+    });
+  });
+}
+
+// Runs the tasks with at most limit of them in flight, resolving with their results in order
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let nextTaskIndex = 0;
+  const runNext = async () => {
+    while (nextTaskIndex < tasks.length) {
+      const taskIndex = nextTaskIndex++;
+      results[taskIndex] = await tasks[taskIndex]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, runNext));
+  return results;
+}
+
+// onProgress receives the fraction of this alert type's diversity scoring that is done
+async function generateTemporalDiversityGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType, onProgress = () => {}) {
+  Log.info(`Starting temporal diversity grid generation for ${alertType} alerts for multiple radii...`);
+
+  Log.info("Temporal Diversity: Fetching alerts with time window IDs from DB...");
+  const validAlertsForDiversity = fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid);
   Log.info(`Temporal Diversity: ${validAlertsForDiversity.length} alerts successfully assigned to a time window.`);
 
   if (validAlertsForDiversity.length === 0) {
@@ -92,148 +515,122 @@ async function generateTemporalDiversityGridData(db, referenceTimestamp) {
 
   Log.info("Temporal Diversity: Building map of most recent time window IDs per cell...");
   const cellMostRecentTimeWindowIdMap = new Map();
+  const cellWeightsMap = new Map();
   for (const alert of validAlertsForDiversity) {
     const lonScaled = scaleCoordinate(alert.longitude, PRECISION.MAX);
     const latScaled = scaleCoordinate(alert.latitude, PRECISION.MAX);
     if (lonScaled === null || latScaled === null) continue;
-    const cellKey = `${lonScaled}_${latScaled}`;
-    const currentTWIDInMap = cellMostRecentTimeWindowIdMap.get(cellKey);
-    if (currentTWIDInMap === undefined || alert.timeWindowId < currentTWIDInMap) {
-      cellMostRecentTimeWindowIdMap.set(cellKey, alert.timeWindowId);
-    }
+    addAlertToCell(cellMostRecentTimeWindowIdMap, cellWeightsMap, `${lonScaled}_${latScaled}`, alert.timeWindowId, alert);
   }
   Log.info(`Temporal Diversity: Built map with ${cellMostRecentTimeWindowIdMap.size} cells at PRECISION.MAX.`);
 
   const insertStmt = db.prepare(`
-    INSERT INTO temporal_diversity_grids (radius_group_id, level, lon_scaled, lat_scaled, diversity_score)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO temporal_diversity_grids (generation_id, alert_type, weighting, radius_group_id, level, lon_scaled, lat_scaled, diversity_score)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
   const bulkInsertDiversity = db.transaction((items) => {
     for (const item of items) {
-      insertStmt.run(item.radius_group_id, item.level, item.lon_scaled, item.lat_scaled, item.diversity_score);
+      insertStmt.run(generationId, alertType, item.weighting, item.radius_group_id, item.level, item.lon_scaled, item.lat_scaled, item.diversity_score);
     }
   });
 
   const cellResolution = Math.pow(10, -PRECISION.MAX);
 
-  for (let radiusGroupId = 0; radiusGroupId < DIVERSITY_RADII.length; radiusGroupId++) {
-    const currentRadius = DIVERSITY_RADII[radiusGroupId];
-    Log.info(`\nTemporal Diversity: Processing for radius group ${radiusGroupId} (radius: ${currentRadius})...`);
-
-    const levelMaxCellDiversity = new Map();
-    const neighborhoodHalfWidthInCells = Math.floor(currentRadius / cellResolution);
+  // Radius groups are independent once the map is built, each is scored in its own worker thread.
+  // All alerts of a cell share its neighbourhood, so every anchor cell is scored once.
+  const cells = toSharedCellArrays(cellMostRecentTimeWindowIdMap, cellWeightsMap);
+  const radiusGroupFractions = DIVERSITY_RADII.map(() => 0);
+  Log.info(`Temporal Diversity: Scoring ${cells.lons.length} cells for ${DIVERSITY_RADII.length} radius groups (${DIVERSITY_WEIGHTINGS.join(", ")}) in up to ${WORKER_THREADS} worker threads...`);
+  const scoresByRadiusGroup = await runWithConcurrency(
+    DIVERSITY_RADII.map((radius, radiusGroupId) => () =>
+      scoreCellsInWorker(cells, radius / cellResolution, (fraction) => {
+        radiusGroupFractions[radiusGroupId] = fraction;
+        onProgress(radiusGroupFractions.reduce((sum, value) => sum + value, 0) / DIVERSITY_RADII.length);
+      })
+    ),
+    WORKER_THREADS
+  );
 
-    let processedCount = 0;
-    const totalToProcessForScores = validAlertsForDiversity.length;
-    if (totalToProcessForScores === 0) continue;
-
-    process.stdout.write(`Temporal Diversity (Radius Group ${radiusGroupId}): Calculating scores... 0% (0/${totalToProcessForScores})\r`);
-
-    for (const anchorAlert of validAlertsForDiversity) {
-      const anchorLonScaled = scaleCoordinate(anchorAlert.longitude, PRECISION.MAX);
-      const anchorLatScaled = scaleCoordinate(anchorAlert.latitude, PRECISION.MAX);
-
-      if (anchorLonScaled === null || anchorLatScaled === null) {
-        processedCount++;
-        if (processedCount % 100 === 0 || processedCount === totalToProcessForScores) {
-          const percentage = Math.floor((processedCount / totalToProcessForScores) * 100);
-          process.stdout.write(`Temporal Diversity (Radius Group ${radiusGroupId}): Calculating scores... ${percentage}% (${processedCount}/${totalToProcessForScores})\r`);
+  for (let radiusGroupId = 0; radiusGroupId < DIVERSITY_RADII.length; radiusGroupId++) {
+    for (const [weightingIndex, weighting] of DIVERSITY_WEIGHTINGS.entries()) {
+      const scores = scoresByRadiusGroup[radiusGroupId][weightingIndex];
+      const logPrefix = `Temporal Diversity (Radius Group ${radiusGroupId}, ${weighting})`;
+      const levelMaxInserts = [];
+      for (let i = 0; i < scores.length; i++) {
+        if (scores[i] > 0) {
+          levelMaxInserts.push({ weighting, radius_group_id: radiusGroupId, level: PRECISION.MAX, lon_scaled: cells.lons[i], lat_scaled: cells.lats[i], diversity_score: scores[i] });
         }
-        continue;
       }
 
-      const uniqueTimeWindowsInProximity = new Set();
-      for (let dy = -neighborhoodHalfWidthInCells; dy <= neighborhoodHalfWidthInCells; dy++) {
-        for (let dx = -neighborhoodHalfWidthInCells; dx <= neighborhoodHalfWidthInCells; dx++) {
-          const targetLonScaled = anchorLonScaled + dx;
-          const targetLatScaled = anchorLatScaled + dy;
-          const neighborCellKey = `${targetLonScaled}_${targetLatScaled}`;
-          if (cellMostRecentTimeWindowIdMap.has(neighborCellKey)) {
-            uniqueTimeWindowsInProximity.add(cellMostRecentTimeWindowIdMap.get(neighborCellKey));
-          }
+      if (levelMaxInserts.length > 0) {
+        try {
+          bulkInsertDiversity(levelMaxInserts);
+          Log.info(`${logPrefix}: Inserted ${levelMaxInserts.length} records for level ${PRECISION.MAX}, radius ${DIVERSITY_RADII[radiusGroupId]}.`);
+        } catch (error) {
+          Log.error(`${logPrefix}: Error L${PRECISION.MAX}:`, error);
+          throw error; // An incomplete generation must not go live
         }
+      } else {
+        Log.info(`${logPrefix}: No records to insert for level ${PRECISION.MAX}.`);
       }
 
-      const diversityScoreForAnchor = uniqueTimeWindowsInProximity.size;
-      const anchorCellKey = `${anchorLonScaled}_${anchorLatScaled}`;
-      levelMaxCellDiversity.set(anchorCellKey, Math.max(levelMaxCellDiversity.get(anchorCellKey) || 0, diversityScoreForAnchor));
-
-      processedCount++;
-      if (processedCount % 100 === 0 || processedCount === totalToProcessForScores) {
-        const percentage = Math.floor((processedCount / totalToProcessForScores) * 100);
-        process.stdout.write(`Temporal Diversity (Radius Group ${radiusGroupId}): Calculating scores... ${percentage}% (${processedCount}/${totalToProcessForScores})\r`);
-      }
-    }
-    process.stdout.write("\n");
-    Log.info(`Temporal Diversity (Radius Group ${radiusGroupId}): Finished. Found ${levelMaxCellDiversity.size} cells with scores at level ${PRECISION.MAX}.`);
-
-    const levelMaxInserts = [];
-    levelMaxCellDiversity.forEach((score, key) => {
-      const [lonStr, latStr] = key.split("_");
-      if (score > 0) {
-        levelMaxInserts.push({ radius_group_id: radiusGroupId, level: PRECISION.MAX, lon_scaled: Number(lonStr), lat_scaled: Number(latStr), diversity_score: score });
-      }
-    });
-
-    if (levelMaxInserts.length > 0) {
-      try {
-        bulkInsertDiversity(levelMaxInserts);
-        Log.info(`Temporal Diversity (Radius Group ${radiusGroupId}): Inserted ${levelMaxInserts.length} records for level ${PRECISION.MAX}.`);
-      } catch (error) {
-        Log.error(`Temporal Diversity (Radius Group ${radiusGroupId}): Error L${PRECISION.MAX}:`, error);
-      }
-    } else {
-      Log.info(`Temporal Diversity (Radius Group ${radiusGroupId}): No records to insert for level ${PRECISION.MAX}.`);
-    }
-
-    for (let level = PRECISION.MAX - 1; level >= PRECISION.MIN; level--) {
-      const lowerLevelCellDiversity = new Map();
-      const higherLevelCells = db.prepare(`SELECT lon_scaled, lat_scaled, diversity_score FROM temporal_diversity_grids WHERE radius_group_id = ? AND level = ?`).all(radiusGroupId, level + 1);
-
-      if (higherLevelCells.length === 0) {
-        continue;
-      }
+      for (let level = PRECISION.MAX - 1; level >= PRECISION.MIN; level--) {
+        const lowerLevelCellDiversity = new Map();
+        const higherLevelCells = db.prepare(`SELECT lon_scaled, lat_scaled, diversity_score FROM temporal_diversity_grids WHERE generation_id = ? AND alert_type = ? AND weighting = ? AND radius_group_id = ? AND level = ?`).all(generationId, alertType, weighting, radiusGroupId, level + 1);
 
-      for (const higherCell of higherLevelCells) {
-        const parentLonScaled = Math.trunc(higherCell.lon_scaled / 10);
-        const parentLatScaled = Math.trunc(higherCell.lat_scaled / 10);
-        const parentCellKey = `${parentLonScaled}_${parentLatScaled}`;
-        lowerLevelCellDiversity.set(parentCellKey, Math.max(lowerLevelCellDiversity.get(parentCellKey) || 0, higherCell.diversity_score));
-      }
+        if (higherLevelCells.length === 0) {
+          continue;
+        }
 
-      const currentLevelInserts = [];
-      lowerLevelCellDiversity.forEach((score, key) => {
-        const [lonStr, latStr] = key.split("_");
-        if (score > 0) {
-          currentLevelInserts.push({ radius_group_id: radiusGroupId, level: level, lon_scaled: Number(lonStr), lat_scaled: Number(latStr), diversity_score: score });
+        for (const higherCell of higherLevelCells) {
+          const parentLonScaled = Math.trunc(higherCell.lon_scaled / 10);
+          const parentLatScaled = Math.trunc(higherCell.lat_scaled / 10);
+          const parentCellKey = `${parentLonScaled}_${parentLatScaled}`;
+          lowerLevelCellDiversity.set(parentCellKey, Math.max(lowerLevelCellDiversity.get(parentCellKey) || 0, higherCell.diversity_score));
         }
-      });
 
-      if (currentLevelInserts.length > 0) {
-        try {
-          bulkInsertDiversity(currentLevelInserts);
-        } catch (error) {
-          Log.error(`Error L${level}, RG${radiusGroupId}:`, error);
+        const currentLevelInserts = [];
+        lowerLevelCellDiversity.forEach((score, key) => {
+          const [lonStr, latStr] = key.split("_");
+          if (score > 0) {
+            currentLevelInserts.push({ weighting, radius_group_id: radiusGroupId, level: level, lon_scaled: Number(lonStr), lat_scaled: Number(latStr), diversity_score: score });
+          }
+        });
+
+        if (currentLevelInserts.length > 0) {
+          try {
+            bulkInsertDiversity(currentLevelInserts);
+          } catch (error) {
+            Log.error(`Error L${level}, RG${radiusGroupId}, ${weighting}:`, error);
+            throw error;
+          }
         }
       }
+      Log.info(`${logPrefix}: Aggregation complete.`);
     }
-    Log.info(`Temporal Diversity (Radius Group ${radiusGroupId}): Aggregation complete.`);
   }
-  Log.info("All temporal diversity grid generation complete.");
+  Log.info(`All temporal diversity grid generation for ${alertType} alerts complete.`);
 }
 
-async function updateMetadata(db, referenceTimestamp) {
+function updateMetadata(db, referenceTimestamp, generationId, completedAt, updatedAt) {
   Log.info("Updating metadata...");
   const insertMetadataStmt = db.prepare(`INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)`);
 
   // Last grid update timestamp
   insertMetadataStmt.run("last_grid_update_timestamp", referenceTimestamp.toString());
 
-  // Center coordinates
-  const centerLon = (config.WAZE_AREA_LEFT + config.WAZE_AREA_RIGHT) / 2;
-  const centerLat = (config.WAZE_AREA_BOTTOM + config.WAZE_AREA_TOP) / 2;
-  insertMetadataStmt.run("center_longitude", centerLon.toString());
-  insertMetadataStmt.run("center_latitude", centerLat.toString());
+  // Generation served by the API
+  insertMetadataStmt.run("live_grid_generation_id", generationId.toString());
+  insertMetadataStmt.run("live_grid_generation_completed_at", completedAt.toString());
+  insertMetadataStmt.run("live_grid_generation_updated_at", updatedAt.toString());
+
+  // Regions are served by the API straight from the config, the keys they replaced are dropped
+  db.prepare(`DELETE FROM metadata WHERE key IN ('center_longitude', 'center_latitude', 'regions')`).run();
+
+  // Definitions the live grid was built with
+  for (const [key, value] of Object.entries(GRID_DEFINITIONS)) {
+    insertMetadataStmt.run(key, JSON.stringify(value));
+  }
 
   // Total alerts in time windows
   let totalAlertsInWindows = 0;
@@ -248,32 +645,325 @@ async function updateMetadata(db, referenceTimestamp) {
       .prepare(
         `SELECT COUNT(uuid) as total_alerts FROM alerts 
        WHERE pubMillis >= ? AND pubMillis < ? 
+       AND type IN (SELECT value FROM json_each(?))
        AND longitude IS NOT NULL AND latitude IS NOT NULL`
       )
-      .get(overallStartMillis, overallEndMillisStrict);
+      .get(overallStartMillis, overallEndMillisStrict, JSON.stringify(ALERT_TYPES));
     totalAlertsInWindows = result ? result.total_alerts : 0;
   }
   insertMetadataStmt.run("total_alerts_in_time_windows", totalAlertsInWindows.toString());
-  Log.info(`Metadata updated: Last Update: ${new Date(referenceTimestamp).toISOString()}, Center: ${centerLat.toFixed(4)},${centerLon.toFixed(4)}, Total Alerts: ${totalAlertsInWindows}`);
+  Log.info(`Metadata updated: Last Update: ${new Date(referenceTimestamp).toISOString()}, Regions: ${config.WAZE_REGIONS.map((region) => region.name).join(", ")}, Total Alerts: ${totalAlertsInWindows}`);
 }
 
-// --- Main Update Function ---
-async function updateGrids() {
-  const dbPath = require("path").join(CACHE_DIR, DB_FILE);
-  Log.info(`Using database at: ${dbPath}`);
-  const db = new Database(dbPath);
-  db.pragma("journal_mode = WAL");
+// --- Incremental Updates ---
+// Between full rebuilds the live generation is patched in place. Only cells with alerts stored since the last update, or with
+// alerts that moved to another time window as the reference timestamp advanced, are recomputed, in a single transaction.
+// Clusters can chain across any distance, so the hotspots of an alert type with changed alerts are clustered again from scratch.
+// Duration weights grow while alerts stay live without changing their rowid, so duration-weighted density and profile grids
+// are recounted from scratch on every update as well.
+function getLiveGeneration(db) {
+  return db.prepare(`SELECT generation_id, reference_timestamp, max_alert_rowid, completed_at FROM grid_generations WHERE status = 'live'`).get();
+}
+
+// Returns why the live generation cannot be patched, or null if an incremental update is possible
+function getFullRebuildReason(db, liveGeneration, referenceTimestamp) {
+  if (!liveGeneration) return "no grid generation is live yet";
+  if (liveGeneration.max_alert_rowid === null) return "the live generation predates incremental updates";
+  if (referenceTimestamp < liveGeneration.reference_timestamp) return "the reference timestamp moved backwards";
+  if (Date.now() - liveGeneration.completed_at >= FULL_REBUILD_INTERVAL_MS) return "the periodic full rebuild is due";
+
+  const selectMetadataStmt = db.prepare(`SELECT value FROM metadata WHERE key = ?`);
+  for (const [key, value] of Object.entries(GRID_DEFINITIONS)) {
+    const row = selectMetadataStmt.get(key);
+    if (!row || row.value !== JSON.stringify(value)) return `${key} changed since the live generation was built`;
+  }
+  return null;
+}
+
+// Alerts whose time window differs from the one the live generation counted them in,
+// as { lonScaled, latScaled, pubMillis, previousTimeWindowId, timeWindowId } (a window ID is null outside every window)
+function fetchChangedAlerts(db, alertType, liveGeneration, referenceTimestamp, maxAlertRowid) {
+  const previousReferenceTimestamp = liveGeneration.reference_timestamp;
+  const alertsByRowid = new Map();
+
+  // Alerts stored since the live generation was built or last updated
+  const newAlerts = db.prepare(`SELECT rowid, pubMillis, latitude, longitude FROM alerts WHERE rowid > ? AND rowid <= ? AND type = ? AND latitude IS NOT NULL AND longitude IS NOT NULL ${ALERT_FILTER_SQL}`).all(liveGeneration.max_alert_rowid, maxAlertRowid, alertType);
+  for (const alert of newAlerts) {
+    alertsByRowid.set(alert.rowid, { ...alert, previousTimeWindowId: null });
+  }
+
+  // Alerts already counted that crossed a window boundary, boundaries move forward with the reference timestamp
+  const crossedBoundaryStmt = db.prepare(`SELECT rowid, pubMillis, latitude, longitude FROM alerts WHERE type = ? AND pubMillis >= ? AND pubMillis < ? AND rowid <= ? AND latitude IS NOT NULL AND longitude IS NOT NULL ${ALERT_FILTER_SQL}`);
+  for (const tw of TIME_WINDOWS) {
+    const windowLengthMs = tw.daysAgoEnd * DAY_MS;
+    const crossedAlerts = crossedBoundaryStmt.all(alertType, previousReferenceTimestamp - windowLengthMs, referenceTimestamp - windowLengthMs, liveGeneration.max_alert_rowid);
+    for (const alert of crossedAlerts) {
+      alertsByRowid.set(alert.rowid, { ...alert, previousTimeWindowId: getTimeWindowId(alert.pubMillis, previousReferenceTimestamp) });
+    }
+  }
+
+  const changedAlerts = [];
+  for (const alert of alertsByRowid.values()) {
+    const timeWindowId = getTimeWindowId(alert.pubMillis, referenceTimestamp);
+    const lonScaled = scaleCoordinate(alert.longitude, PRECISION.MAX);
+    const latScaled = scaleCoordinate(alert.latitude, PRECISION.MAX);
+    if (timeWindowId === alert.previousTimeWindowId || lonScaled === null || latScaled === null) continue;
+    changedAlerts.push({ lonScaled, latScaled, pubMillis: alert.pubMillis, previousTimeWindowId: alert.previousTimeWindowId, timeWindowId });
+  }
+  return changedAlerts;
+}
+
+// Density changes per level, keyed like the full build by timeWindowId_lonScaled_latScaled
+function getDensityDeltas(changedAlerts) {
+  const addDelta = (cellDeltas, key, delta) => cellDeltas.set(key, (cellDeltas.get(key) || 0) + delta);
+
+  const levelMaxCellDeltas = new Map();
+  for (const alert of changedAlerts) {
+    if (alert.previousTimeWindowId !== null) addDelta(levelMaxCellDeltas, `${alert.previousTimeWindowId}_${alert.lonScaled}_${alert.latScaled}`, -1);
+    if (alert.timeWindowId !== null) addDelta(levelMaxCellDeltas, `${alert.timeWindowId}_${alert.lonScaled}_${alert.latScaled}`, 1);
+  }
+  return aggregateToParentLevels(levelMaxCellDeltas);
+}
+
+// Profile changes per level, keyed by hourOfWeek_lonScaled_latScaled. Moving between time windows leaves the profile
+// unchanged, only alerts entering the first window or leaving the last one count.
+function getProfileDeltas(changedAlerts) {
+  const levelMaxCellDeltas = new Map();
+  for (const alert of changedAlerts) {
+    if ((alert.previousTimeWindowId === null) === (alert.timeWindowId === null)) continue;
+    const cellKey = `${getLocalHourOfWeek(alert.pubMillis)}_${alert.lonScaled}_${alert.latScaled}`;
+    levelMaxCellDeltas.set(cellKey, (levelMaxCellDeltas.get(cellKey) || 0) + (alert.timeWindowId === null ? -1 : 1));
+  }
+  return aggregateToParentLevels(levelMaxCellDeltas);
+}
+
+// Adds count deltas to a density-like grid table, whose cells are keyed by bucketColumn (a time window or hour of the week)
+function applyCellDeltas(db, table, bucketColumn, generationId, alertType, deltasByLevel) {
+  const upsertStmt = db.prepare(`
+    INSERT INTO ${table} (generation_id, alert_type, ${bucketColumn}, level, lon_scaled, lat_scaled, density)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (generation_id, alert_type, ${bucketColumn}, level, lon_scaled, lat_scaled) DO UPDATE SET density = density + excluded.density
+  `);
+  const deleteEmptyStmt = db.prepare(`DELETE FROM ${table} WHERE generation_id = ? AND alert_type = ? AND ${bucketColumn} = ? AND level = ? AND lon_scaled = ? AND lat_scaled = ? AND density <= 0`);
+
+  deltasByLevel.forEach((cellDeltas, level) => {
+    cellDeltas.forEach((delta, key) => {
+      if (delta === 0) return;
+      const [bucketId, lonScaled, latScaled] = key.split("_").map(Number);
+      upsertStmt.run(generationId, alertType, bucketId, level, lonScaled, latScaled, delta);
+      if (delta < 0) deleteEmptyStmt.run(generationId, alertType, bucketId, level, lonScaled, latScaled);
+    });
+  });
+}
+
+// Most recent time window and score weights of every level-5 cell inside the given scaled ranges, read from the alerts around them
+function fetchCellMostRecentTimeWindowIds(db, alertType, referenceTimestamp, maxAlertRowid, scaledRanges) {
+  const cellResolution = Math.pow(10, -PRECISION.MAX);
+  const oldestRelevantPubMillis = referenceTimestamp - TIME_WINDOWS[TIME_WINDOWS.length - 1].daysAgoEnd * DAY_MS;
+  const stmt = db.prepare(`
+    SELECT pubMillis, latitude, longitude, confidence, reliability FROM alerts
+    WHERE type = ? AND longitude >= ? AND longitude <= ? AND latitude >= ? AND latitude <= ? AND pubMillis >= ? AND rowid <= ? ${ALERT_FILTER_SQL}
+  `);
+
+  const cellMostRecentTimeWindowIdMap = new Map();
+  const cellWeightsMap = new Map();
+  for (const range of scaledRanges) {
+    // Scaling truncates towards zero, so query one cell beyond the range and keep only the cells inside it
+    const alerts = stmt.all(alertType, (range.lonMin - 1) * cellResolution, (range.lonMax + 1) * cellResolution, (range.latMin - 1) * cellResolution, (range.latMax + 1) * cellResolution, oldestRelevantPubMillis, maxAlertRowid);
+    for (const alert of alerts) {
+      const lonScaled = scaleCoordinate(alert.longitude, PRECISION.MAX);
+      const latScaled = scaleCoordinate(alert.latitude, PRECISION.MAX);
+      const timeWindowId = getTimeWindowId(alert.pubMillis, referenceTimestamp);
+      if (lonScaled === null || latScaled === null || timeWindowId === null) continue;
+      if (lonScaled < range.lonMin || lonScaled > range.lonMax || latScaled < range.latMin || latScaled > range.latMax) continue;
+      addAlertToCell(cellMostRecentTimeWindowIdMap, cellWeightsMap, `${lonScaled}_${latScaled}`, timeWindowId, alert);
+    }
+  }
+  return { cellMostRecentTimeWindowIdMap, cellWeightsMap };
+}
+
+// New level-5 scores per weighting and radius group for every anchor cell near a changed cell, and the changed cells left without alerts
+function getTemporalDiversityChanges(db, alertType, referenceTimestamp, maxAlertRowid, changedAlerts) {
+  const cellResolution = Math.pow(10, -PRECISION.MAX);
+  const changedCells = new Map();
+  for (const { lonScaled, latScaled } of changedAlerts) {
+    changedCells.set(`${lonScaled}_${latScaled}`, { lonScaled, latScaled });
+  }
+  if (changedCells.size === 0) return [];
+
+  // Anchors within the largest radius of a changed cell are rescored, which needs every cell within twice that radius
+  const margin = Math.ceil(2 * Math.max(...DIVERSITY_RADII) / cellResolution);
+  const scaledRanges = new Map();
+  for (const { lonScaled, latScaled } of changedCells.values()) {
+    const bucketLon = Math.floor(lonScaled / INCREMENTAL_BUCKET_CELLS);
+    const bucketLat = Math.floor(latScaled / INCREMENTAL_BUCKET_CELLS);
+    scaledRanges.set(`${bucketLon}_${bucketLat}`, {
+      lonMin: bucketLon * INCREMENTAL_BUCKET_CELLS - margin,
+      lonMax: (bucketLon + 1) * INCREMENTAL_BUCKET_CELLS - 1 + margin,
+      latMin: bucketLat * INCREMENTAL_BUCKET_CELLS - margin,
+      latMax: (bucketLat + 1) * INCREMENTAL_BUCKET_CELLS - 1 + margin,
+    });
+  }
+  const { cellMostRecentTimeWindowIdMap, cellWeightsMap } = fetchCellMostRecentTimeWindowIds(db, alertType, referenceTimestamp, maxAlertRowid, [...scaledRanges.values()]);
+  const removedCells = [...changedCells.keys()].filter((cellKey) => !cellMostRecentTimeWindowIdMap.has(cellKey));
+  const cells = toSharedCellArrays(cellMostRecentTimeWindowIdMap, cellWeightsMap);
+
+  return DIVERSITY_RADII.flatMap((radius, radiusGroupId) => {
+    const radiusInCells = radius / cellResolution;
+    const cellIndex = createTimeWindowCellIndex(cellMostRecentTimeWindowIdMap, radiusInCells);
+    const changedCellIndex = SpatialIndex.createCellIndex(Math.max(1, Math.ceil(radiusInCells)));
+    changedCells.forEach(({ lonScaled, latScaled }) => changedCellIndex.add(lonScaled, latScaled, null));
+    // Same position-valued index as the grid worker uses for weighted scores
+    const positionIndex = SpatialIndex.createCellIndex(Math.max(1, Math.ceil(radiusInCells)));
+    for (let i = 0; i < cells.lons.length; i++) {
+      positionIndex.add(cells.lons[i], cells.lats[i], i);
+    }
+
+    const scoresByWeighting = DIVERSITY_WEIGHTINGS.map(() => new Map());
+    for (let i = 0; i < cells.lons.length; i++) {
+      const lonScaled = cells.lons[i];
+      const latScaled = cells.lats[i];
+      if (!changedCellIndex.hasWithinRadius(lonScaled, latScaled, radiusInCells)) continue;
+      const cellKey = `${lonScaled}_${latScaled}`;
+      scoresByWeighting[0].set(cellKey, getDiversityScore(cellIndex, lonScaled, latScaled, radiusInCells));
+      if (SCORE_WEIGHTINGS.length > 0) {
+        const sums = SpatialIndex.sumMaxWeightPerValueWithinRadius(positionIndex, lonScaled, latScaled, radiusInCells, cells.timeWindowIds, cells.weights, TIME_WINDOWS.length);
+        sums.forEach((sum, k) => scoresByWeighting[k + 1].set(cellKey, sum));
+      }
+    }
+    return DIVERSITY_WEIGHTINGS.map((weighting, weightingIndex) => ({ weighting, radiusGroupId, scores: scoresByWeighting[weightingIndex], removedCells }));
+  });
+}
+
+// Scaled range at the next level covered by a cell, the inverse of Math.trunc(scaled / 10)
+function getChildScaledRange(parentScaled) {
+  if (parentScaled > 0) return [parentScaled * 10, parentScaled * 10 + 9];
+  if (parentScaled < 0) return [parentScaled * 10 - 9, parentScaled * 10];
+  return [-9, 9];
+}
+
+function applyTemporalDiversityChanges(db, generationId, alertType, diversityChanges) {
+  const upsertStmt = db.prepare(`
+    INSERT INTO temporal_diversity_grids (generation_id, alert_type, weighting, radius_group_id, level, lon_scaled, lat_scaled, diversity_score)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (generation_id, alert_type, weighting, radius_group_id, level, lon_scaled, lat_scaled) DO UPDATE SET diversity_score = excluded.diversity_score
+  `);
+  const deleteStmt = db.prepare(`DELETE FROM temporal_diversity_grids WHERE generation_id = ? AND alert_type = ? AND weighting = ? AND radius_group_id = ? AND level = ? AND lon_scaled = ? AND lat_scaled = ?`);
+  const selectMaxChildScoreStmt = db.prepare(`
+    SELECT MAX(diversity_score) AS score FROM temporal_diversity_grids
+    WHERE generation_id = ? AND alert_type = ? AND weighting = ? AND radius_group_id = ? AND level = ? AND lon_scaled >= ? AND lon_scaled <= ? AND lat_scaled >= ? AND lat_scaled <= ?
+  `);
+
+  for (const { weighting, radiusGroupId, scores, removedCells } of diversityChanges) {
+    // Like the full build, cells scoring 0 (only alerts weighted 0 around them) are not stored
+    scores.forEach((score, cellKey) => {
+      const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+      if (score > 0) {
+        upsertStmt.run(generationId, alertType, weighting, radiusGroupId, PRECISION.MAX, lonScaled, latScaled, score);
+      } else {
+        deleteStmt.run(generationId, alertType, weighting, radiusGroupId, PRECISION.MAX, lonScaled, latScaled);
+      }
+    });
+    for (const cellKey of removedCells) {
+      const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+      deleteStmt.run(generationId, alertType, weighting, radiusGroupId, PRECISION.MAX, lonScaled, latScaled);
+    }
+
+    // Parents take the maximum of their children, like the full build
+    let touchedCellKeys = new Set([...scores.keys(), ...removedCells]);
+    for (let level = PRECISION.MAX - 1; level >= PRECISION.MIN; level--) {
+      const parentCellKeys = new Set();
+      for (const cellKey of touchedCellKeys) {
+        const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+        parentCellKeys.add(`${Math.trunc(lonScaled / 10)}_${Math.trunc(latScaled / 10)}`);
+      }
+      for (const cellKey of parentCellKeys) {
+        const [lonScaled, latScaled] = cellKey.split("_").map(Number);
+        const [lonMin, lonMax] = getChildScaledRange(lonScaled);
+        const [latMin, latMax] = getChildScaledRange(latScaled);
+        const { score } = selectMaxChildScoreStmt.get(generationId, alertType, weighting, radiusGroupId, level + 1, lonMin, lonMax, latMin, latMax);
+        if (score === null) {
+          deleteStmt.run(generationId, alertType, weighting, radiusGroupId, level, lonScaled, latScaled);
+        } else {
+          upsertStmt.run(generationId, alertType, weighting, radiusGroupId, level, lonScaled, latScaled, score);
+        }
+      }
+      touchedCellKeys = parentCellKeys;
+    }
+  }
+}
+
+// Patches the live generation up to the given alert snapshot
+async function updateLiveGeneration(db, liveGeneration, referenceTimestamp, maxAlertRowid, onProgress) {
+  const generationId = liveGeneration.generation_id;
+  Log.info(`Updating live grid generation ${generationId} incrementally: alerts after rowid ${liveGeneration.max_alert_rowid} up to ${maxAlertRowid}, reference timestamp ${new Date(liveGeneration.reference_timestamp).toISOString()} -> ${new Date(referenceTimestamp).toISOString()}.`);
 
-  initializeDatabase(db);
+  const updates = ALERT_TYPES.map((alertType, typeIndex) => {
+    onProgress({ stage: `incremental ${alertType}`, fraction: typeIndex / ALERT_TYPES.length });
+    const changedAlerts = fetchChangedAlerts(db, alertType, liveGeneration, referenceTimestamp, maxAlertRowid);
+    const diversityChanges = getTemporalDiversityChanges(db, alertType, referenceTimestamp, maxAlertRowid, changedAlerts);
+    const rescoredCells = diversityChanges.filter((change) => change.weighting === "count").reduce((sum, change) => sum + change.scores.size, 0);
+    const hotspots = changedAlerts.length > 0 ? findHotspots(db, referenceTimestamp, alertType, maxAlertRowid) : null;
+    Log.info(`Incremental: ${changedAlerts.length} ${alertType} alerts are new or changed time window, ${rescoredCells} level ${PRECISION.MAX} diversity scores recomputed${hotspots ? `, ${hotspots.length} hotspots` : ""}.`);
+    if (WEIGHTING === "duration") {
+      const alertsInWindows = fetchAlertsInTimeWindows(db, referenceTimestamp, alertType, maxAlertRowid);
+      return { alertType, densityCounts: getDensityCounts(alertsInWindows), profileCounts: getProfileCounts(alertsInWindows), diversityChanges, hotspots };
+    }
+    return { alertType, densityDeltas: getDensityDeltas(changedAlerts), profileDeltas: getProfileDeltas(changedAlerts), diversityChanges, hotspots };
+  });
 
+  const updatedAt = Date.now();
+  db.transaction(() => {
+    for (const update of updates) {
+      if (WEIGHTING === "duration") {
+        db.prepare(`DELETE FROM density_grids WHERE generation_id = ? AND alert_type = ?`).run(generationId, update.alertType);
+        db.prepare(`DELETE FROM profile_grids WHERE generation_id = ? AND alert_type = ?`).run(generationId, update.alertType);
+        insertCellCounts(db, "density_grids", "time_window_id", generationId, update.alertType, update.densityCounts);
+        insertCellCounts(db, "profile_grids", "hour_of_week", generationId, update.alertType, update.profileCounts);
+      } else {
+        applyCellDeltas(db, "density_grids", "time_window_id", generationId, update.alertType, update.densityDeltas);
+        applyCellDeltas(db, "profile_grids", "hour_of_week", generationId, update.alertType, update.profileDeltas);
+      }
+      applyTemporalDiversityChanges(db, generationId, update.alertType, update.diversityChanges);
+      if (update.hotspots) replaceHotspots(db, generationId, update.alertType, update.hotspots);
+    }
+    db.prepare(`UPDATE grid_generations SET reference_timestamp = ?, max_alert_rowid = ?, updated_at = ? WHERE generation_id = ?`).run(referenceTimestamp, maxAlertRowid, updatedAt, generationId);
+    updateMetadata(db, referenceTimestamp, generationId, liveGeneration.completed_at, updatedAt);
+  }).immediate();
+  onProgress({ stage: "incremental", fraction: 1 }); // Parent cells are read back inside the transaction while Waze runners may be writing
+  Log.info(`Grid generation ${generationId} updated.`);
+}
+
+// Row counts of each grid product in the live generation, reported as metrics after every update
+const GRID_PRODUCT_TABLES = {
+  density: "density_grids",
+  profile: "profile_grids",
+  temporal_diversity: "temporal_diversity_grids",
+  hotspots: "hotspots",
+};
+
+function recordLiveCellCounts(db) {
+  const liveGeneration = getLiveGeneration(db);
+  if (!liveGeneration) return;
+  for (const [product, table] of Object.entries(GRID_PRODUCT_TABLES)) {
+    const count = db.prepare(`SELECT COUNT(*) FROM ${table} WHERE generation_id = ?`).pluck().get(liveGeneration.generation_id);
+    Metrics.set("grid_cells", { product }, count);
+  }
+}
+
+// --- Main Update Function ---
+// Newest alert rowid the update covers and the reference timestamp derived from it
+function getAlertSnapshot(db) {
   let referenceTimestamp;
+  let maxAlertRowid = 0;
   try {
     const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alerts'").get();
     if (!tableCheck) {
       Log.warn("Alerts table does not exist. Grid generation will use current time as reference.");
       referenceTimestamp = Date.now();
     } else {
-      const maxPubMillisRow = db.prepare("SELECT MAX(pubMillis) as max_millis FROM alerts").get();
+      maxAlertRowid = db.prepare("SELECT MAX(rowid) as max_rowid FROM alerts").get().max_rowid || 0;
+      const maxPubMillisRow = db.prepare("SELECT MAX(pubMillis) as max_millis FROM alerts WHERE type IN (SELECT value FROM json_each(?)) AND rowid <= ?").get(JSON.stringify(ALERT_TYPES), maxAlertRowid);
       if (maxPubMillisRow && maxPubMillisRow.max_millis != null) {
         referenceTimestamp = maxPubMillisRow.max_millis;
         Log.info(`Using latest alert pubMillis as reference timestamp: ${new Date(referenceTimestamp).toISOString()} (${referenceTimestamp})`);
@@ -286,13 +976,88 @@ async function updateGrids() {
     Log.error("Error determining reference timestamp from database. Falling back to current time.", error);
     referenceTimestamp = Date.now();
   }
+  return { referenceTimestamp, maxAlertRowid };
+}
+
+// Builds every grid product of a new generation from scratch
+// onProgress receives { stage, fraction } with the fraction of the whole build that is done
+async function buildGeneration(db, generationId, referenceTimestamp, maxAlertRowid, onProgress) {
+  // Alert types are built one after another, density, profiles and hotspots each count as one radius group's worth of work
+  const stepsPerAlertType = 3 + DIVERSITY_RADII.length;
+  for (const [typeIndex, alertType] of ALERT_TYPES.entries()) {
+    const reportStep = (stage, stepsDone) => onProgress({ stage: `${stage} ${alertType}`, fraction: (typeIndex * stepsPerAlertType + stepsDone) / (ALERT_TYPES.length * stepsPerAlertType) });
+    reportStep("density", 0);
+    await generateDensityGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType);
+    reportStep("profile", 1);
+    await generateProfileGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType);
+    reportStep("hotspots", 2);
+    generateHotspotData(db, generationId, referenceTimestamp, maxAlertRowid, alertType);
+    reportStep("diversity", 3);
+    await generateTemporalDiversityGridData(db, generationId, referenceTimestamp, maxAlertRowid, alertType, (fraction) => reportStep("diversity", 3 + fraction * DIVERSITY_RADII.length));
+  }
+}
+
+// onProgress receives { stage, fraction } with the fraction of the whole update that is done
+// fullRebuild skips the incremental update even when the live generation could be patched
+async function updateGrids(onProgress = () => {}, { fullRebuild = false } = {}) {
+  const dbPath = Path.join(CACHE_DIR, DB_FILE);
+  Log.info(`Using database at: ${dbPath}`);
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  Migrate.assertSchemaUpToDate(db);
 
-  // await generateDensityGridData(db, referenceTimestamp); // Removed
-  await generateTemporalDiversityGridData(db, referenceTimestamp);
-  await updateMetadata(db, referenceTimestamp); // Add this call
+  const startedAt = Date.now();
+  const { referenceTimestamp, maxAlertRowid } = getAlertSnapshot(db);
+  const liveGeneration = getLiveGeneration(db);
+  const fullRebuildReason = fullRebuild ? "a full rebuild was requested" : getFullRebuildReason(db, liveGeneration, referenceTimestamp);
+
+  if (fullRebuildReason === null) {
+    await updateLiveGeneration(db, liveGeneration, referenceTimestamp, maxAlertRowid, onProgress);
+  } else {
+    Log.info(`Rebuilding all grids: ${fullRebuildReason}.`);
+    const generationId = initializeDatabase(db);
+    Log.info(`Building grid generation ${generationId}.`);
+    await buildGeneration(db, generationId, referenceTimestamp, maxAlertRowid, onProgress);
+    publishGeneration(db, generationId, referenceTimestamp, maxAlertRowid);
+    onProgress({ stage: "publish", fraction: 1 });
+  }
+  Metrics.observe("grid_build_duration_seconds", { kind: fullRebuildReason === null ? "incremental" : "full" }, (Date.now() - startedAt) / 1000);
+  recordLiveCellCounts(db);
 
   db.close();
   Log.info("All grid data generation and database updates are complete.");
 }
 
-module.exports = { updateGrids };
+// Builds the grids as they were at referenceTimestamp (the newest alert when null) and stores them as a named snapshot.
+// Snapshots use what is known about alerts now, such as their lifetimes, incidents and reliability.
+async function buildSnapshot(snapshotName, referenceTimestamp = null, onProgress = () => {}) {
+  if (!SNAPSHOT_NAME_PATTERN.test(snapshotName)) {
+    throw new Error(`Invalid snapshot name "${snapshotName}", use letters, digits, "-" and "_".`);
+  }
+
+  const dbPath = Path.join(CACHE_DIR, DB_FILE);
+  Log.info(`Using database at: ${dbPath}`);
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  Migrate.assertSchemaUpToDate(db);
+
+  const startedAt = Date.now();
+  const alertSnapshot = getAlertSnapshot(db);
+  const snapshotReferenceTimestamp = referenceTimestamp ?? alertSnapshot.referenceTimestamp;
+  const oldestRelevantPubMillis = snapshotReferenceTimestamp - TIME_WINDOWS[TIME_WINDOWS.length - 1].daysAgoEnd * DAY_MS;
+  const oldestStoredPubMillis = db.prepare(`SELECT MIN(pubMillis) FROM alerts WHERE type IN (SELECT value FROM json_each(?))`).pluck().get(JSON.stringify(ALERT_TYPES));
+  if (config.ALERT_RETENTION_DAYS > 0 && oldestStoredPubMillis !== null && oldestStoredPubMillis > oldestRelevantPubMillis) {
+    Log.warn(`The oldest stored alert is from ${new Date(oldestStoredPubMillis).toISOString()}, older alerts of the snapshot's time windows may have been archived. Restore them with "npm run restore:archive" for a complete snapshot.`);
+  }
+
+  const generationId = initializeDatabase(db, snapshotName);
+  Log.info(`Building grid generation ${generationId} as snapshot "${snapshotName}" as of ${new Date(snapshotReferenceTimestamp).toISOString()}.`);
+  await buildGeneration(db, generationId, snapshotReferenceTimestamp, alertSnapshot.maxAlertRowid, onProgress);
+  publishSnapshot(db, generationId, snapshotName, snapshotReferenceTimestamp, alertSnapshot.maxAlertRowid);
+  onProgress({ stage: "publish", fraction: 1 });
+  Metrics.observe("grid_build_duration_seconds", { kind: "snapshot" }, (Date.now() - startedAt) / 1000);
+
+  db.close();
+}
+
+module.exports = { updateGrids, buildSnapshot };
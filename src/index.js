@@ -2,14 +2,19 @@ require("dotenv").config();
 const config = require("./config");
 
 const fs = require("fs");
+const crypto = require("crypto");
 const Path = require("path");
 const { fork } = require("child_process");
+const Database = require("better-sqlite3");
 
 const Server = require("./server");
 const Log = require("./log");
+const Migrate = require("./migrate");
+const Metrics = require("./metrics");
 
-const WAZE_UPDATE_INTERVAL_MS = config.WAZE_UPDATE_INTERVAL_MS;
 const GRID_UPDATE_INTERVAL_MS = config.GRID_UPDATE_INTERVAL_MS;
+const SPEED_CAMERAS_UPDATE_INTERVAL_MS = config.SPEED_CAMERAS_UPDATE_INTERVAL_MS;
+const RETENTION_UPDATE_INTERVAL_MS = config.ALERT_RETENTION_UPDATE_INTERVAL_MS;
 
 const MINIMUM_POST_COMPLETION_INTERVAL_MS = 1 * 60 * 1000;
 
@@ -17,15 +22,34 @@ const TIMESTAMP_FILE_PATH = Path.join(config.HEATMAP_CACHE_DIR_PATH, "last_execu
 
 const WAZE_TASK_NAME = "waze_alerts_fetch";
 const GRID_TASK_NAME = "grid_data_update";
+const SPEED_CAMERAS_TASK_NAME = "speed_cameras_import";
+const RETENTION_TASK_NAME = "alert_retention";
 
 // Paths to runner scripts
 const WAZE_RUNNER_PATH = Path.resolve(__dirname, "waze-runner.js");
 const GRID_RUNNER_PATH = Path.resolve(__dirname, "grid-runner.js");
+const SPEED_CAMERAS_RUNNER_PATH = Path.resolve(__dirname, "speed-cameras-runner.js");
+const RETENTION_RUNNER_PATH = Path.resolve(__dirname, "retention-runner.js");
 
-const taskRunningFlags = {
-  [WAZE_TASK_NAME]: false,
-  [GRID_TASK_NAME]: false,
-};
+// Understood by the grid runner, see the admin API
+const GRID_FULL_REBUILD_ARG = "--full-rebuild";
+
+// Every scheduled task, with one Waze task per monitored region on that region's interval
+// Tasks listed in triggers run right after the task completes successfully, regardless of their own interval
+const TASKS = [
+  ...config.WAZE_REGIONS.map((region) => ({ name: `${WAZE_TASK_NAME}:${region.name}`, runnerPath: WAZE_RUNNER_PATH, intervalMs: region.updateIntervalMs, args: [region.name], triggers: [GRID_TASK_NAME] })),
+  { name: GRID_TASK_NAME, runnerPath: GRID_RUNNER_PATH, intervalMs: GRID_UPDATE_INTERVAL_MS, args: [], triggers: [] },
+  { name: SPEED_CAMERAS_TASK_NAME, runnerPath: SPEED_CAMERAS_RUNNER_PATH, intervalMs: SPEED_CAMERAS_UPDATE_INTERVAL_MS, args: [], triggers: [] },
+  { name: RETENTION_TASK_NAME, runnerPath: RETENTION_RUNNER_PATH, intervalMs: RETENTION_UPDATE_INTERVAL_MS, args: [], triggers: [] },
+];
+
+const taskRunningFlags = Object.fromEntries(TASKS.map((task) => [task.name, false]));
+// Arguments of a forced run requested while the task was busy, run once it finishes
+const taskRerunArgs = Object.fromEntries(TASKS.map((task) => [task.name, null]));
+// Child process of each running task, so it can be cancelled
+const taskChildProcesses = Object.fromEntries(TASKS.map((task) => [task.name, null]));
+// ID of each task's current run, attached to every line its runner logs
+const taskRunIds = Object.fromEntries(TASKS.map((task) => [task.name, null]));
 
 try {
   if (!fs.existsSync(config.HEATMAP_CACHE_DIR_PATH)) {
@@ -37,13 +61,24 @@ try {
   process.exit(1);
 }
 
+// Bring the database schema up to date before any runner is forked
+try {
+  const db = new Database(Path.join(config.HEATMAP_CACHE_DIR_PATH, config.DB_FILENAME));
+  db.pragma("journal_mode = WAL");
+  Migrate.applyMigrations(db);
+  db.close();
+} catch (error) {
+  Log.error(`FATAL: Error applying database migrations: ${error.message}`);
+  process.exit(1);
+}
+
 function readTimestamps() {
   try {
     if (fs.existsSync(TIMESTAMP_FILE_PATH)) {
       const data = fs.readFileSync(TIMESTAMP_FILE_PATH, "utf8");
       const parsedData = JSON.parse(data);
-      for (const taskKey of [WAZE_TASK_NAME, GRID_TASK_NAME]) {
-        if (parsedData[taskKey] && (typeof parsedData[taskKey].lastAttemptedStart !== "number" || (parsedData[taskKey].lastCompletion !== undefined && typeof parsedData[taskKey].lastCompletion !== "number"))) {
+      for (const taskKey of TASKS.map((task) => task.name)) {
+        if (parsedData[taskKey] && (typeof parsedData[taskKey].lastAttemptedStart !== "number" || (parsedData[taskKey].lastCompletion !== undefined && typeof parsedData[taskKey].lastCompletion !== "number") || (parsedData[taskKey].lastExitCode !== undefined && parsedData[taskKey].lastExitCode !== null && typeof parsedData[taskKey].lastExitCode !== "number"))) {
           Log.warn(`Timestamp data for ${taskKey} has unexpected structure. Resetting for this task.`);
           delete parsedData[taskKey];
         }
@@ -64,8 +99,38 @@ function writeTimestamps(timestamps) {
   }
 }
 
-async function runTaskIfDue(taskName, taskRunnerPath, intervalMs) {
+// Runners report back over the IPC channel: the Waze runner sends the uuids of alerts it just stored, the grid runner its progress
+function handleRunnerMessage(taskName, message) {
+  if (message && message.type === "new_alerts" && Array.isArray(message.uuids)) {
+    Server.publishNewAlerts(message.uuids);
+    return;
+  }
+  if (message && message.type === "metrics" && Array.isArray(message.records)) {
+    Metrics.applyRunnerRecords(message.records);
+    return;
+  }
+  if (message && message.type === "progress") {
+    Log.info(`${taskName} progress: ${message.percent}% (${message.stage})`);
+    return;
+  }
+  Log.warn(`Ignoring unexpected message from ${taskName} child process: ${JSON.stringify(message)}`);
+}
+
+function runTriggeredTasks(taskName) {
+  const task = TASKS.find((candidate) => candidate.name === taskName);
+  for (const triggeredTask of TASKS.filter((candidate) => task.triggers.includes(candidate.name))) {
+    runTaskIfDue(triggeredTask.name, triggeredTask.runnerPath, triggeredTask.intervalMs, triggeredTask.args, true).catch((err) => Log.error(`Error in triggered execution wrapper for ${triggeredTask.name}:`, err));
+  }
+}
+
+// force skips the interval checks, a forced run of a busy task is queued until it finishes
+async function runTaskIfDue(taskName, taskRunnerPath, intervalMs, taskArgs = [], force = false) {
   if (taskRunningFlags[taskName]) {
+    if (force) {
+      taskRerunArgs[taskName] = taskArgs;
+      Log.info(`${taskName} is already running. It will run again once finished.`);
+      return;
+    }
     Log.info(`${taskName} is already running. Skipping this interval check.`);
     return;
   }
@@ -82,8 +147,8 @@ async function runTaskIfDue(taskName, taskRunnerPath, intervalMs) {
   const isDueByMainInterval = timeSinceLastAttempt >= intervalMs;
   const canRunAfterMinCompletionDelay = timeSinceLastCompletion >= MINIMUM_POST_COMPLETION_INTERVAL_MS;
 
-  if (isDueByMainInterval) {
-    if (!canRunAfterMinCompletionDelay) {
+  if (isDueByMainInterval || force) {
+    if (!canRunAfterMinCompletionDelay && !force) {
       const timeToWaitMs = MINIMUM_POST_COMPLETION_INTERVAL_MS - timeSinceLastCompletion;
       const secondsToWait = Math.ceil(timeToWaitMs / 1000);
       Log.info(`${taskName}: Main interval passed, but waiting for minimum post-completion delay of ${MINIMUM_POST_COMPLETION_INTERVAL_MS / 1000}s. Last completion: ${new Date(lastCompletion).toISOString()}. Need to wait approx. ${secondsToWait} more sec(s).`);
@@ -92,39 +157,61 @@ async function runTaskIfDue(taskName, taskRunnerPath, intervalMs) {
 
     taskRunningFlags[taskName] = true;
     const lastAttemptStr = lastAttemptedStart === 0 ? "Never" : new Date(lastAttemptedStart).toISOString();
-    Log.info(`Executing ${taskName}: Conditions met. Last attempt: ${lastAttemptStr}. Current time: ${new Date(now).toISOString()}`);
+    Log.info(`Executing ${taskName}: ${force ? "Triggered" : "Conditions met"}. Last attempt: ${lastAttemptStr}. Current time: ${new Date(now).toISOString()}`);
 
     const updatedTaskTimestamps = {
+      ...taskTimestamps,
       lastAttemptedStart: now,
       lastCompletion: lastCompletion, // Preserve old completion until new one is confirmed
     };
     allTimestamps[taskName] = updatedTaskTimestamps;
     writeTimestamps(allTimestamps); // Write attempt time
 
-    Log.info(`Forking child process for ${taskName} from ${taskRunnerPath}...`);
-    const child = fork(taskRunnerPath, [], { stdio: "inherit" }); // 'inherit' to see child logs
+    const runId = crypto.randomBytes(4).toString("hex");
+    Log.info(`Forking child process for ${taskName} from ${taskRunnerPath} as run ${runId}...`);
+    const child = fork(taskRunnerPath, taskArgs, { stdio: "inherit", env: { ...process.env, [Log.RUN_ID_ENV_KEY]: runId } }); // 'inherit' to see child logs
+    taskChildProcesses[taskName] = child;
+    taskRunIds[taskName] = runId;
 
-    child.on("exit", (code) => {
+    child.on("message", (message) => handleRunnerMessage(taskName, message));
+
+    // The exit code is null when the child was killed by a signal, e.g. cancelled over the admin API
+    child.on("exit", (code, signal) => {
       const executionCompletionTime = Date.now();
+      // Read timestamps again to ensure we have the latest, then update completion
+      const currentTimestamps = readTimestamps();
+      const taskSpecificTimestamps = currentTimestamps[taskName] || { lastAttemptedStart: now };
+      taskSpecificTimestamps.lastExitCode = code;
+      Metrics.increment("task_runs_total", { task: taskName, result: code === 0 ? "success" : signal ? "cancelled" : "failure" });
       if (code === 0) {
-        Log.info(`${taskName} child process exited successfully (code 0).`);
-        // Read timestamps again to ensure we have the latest, then update completion
-        const currentTimestamps = readTimestamps();
-        const taskSpecificTimestamps = currentTimestamps[taskName] || { lastAttemptedStart: now };
+        Log.info(`${taskName} child process of run ${runId} exited successfully (code 0).`);
         taskSpecificTimestamps.lastCompletion = executionCompletionTime;
-        currentTimestamps[taskName] = taskSpecificTimestamps;
-        writeTimestamps(currentTimestamps);
         Log.info(`${taskName} executed successfully. Completion timestamp updated to ${new Date(executionCompletionTime).toISOString()}.`);
+      } else if (signal) {
+        Log.warn(`${taskName} child process of run ${runId} was stopped by ${signal}. Last completion time not updated.`);
       } else {
-        Log.error(`${taskName} child process exited with error code ${code}. Last completion time not updated.`);
+        Log.error(`${taskName} child process of run ${runId} exited with error code ${code}. Last completion time not updated.`);
       }
+      currentTimestamps[taskName] = taskSpecificTimestamps;
+      writeTimestamps(currentTimestamps);
       taskRunningFlags[taskName] = false;
+      taskChildProcesses[taskName] = null;
+      taskRunIds[taskName] = null;
+
+      if (code === 0) runTriggeredTasks(taskName);
+      if (taskRerunArgs[taskName]) {
+        const rerunArgs = taskRerunArgs[taskName];
+        taskRerunArgs[taskName] = null;
+        runTaskIfDue(taskName, taskRunnerPath, intervalMs, rerunArgs, true).catch((err) => Log.error(`Error in queued execution wrapper for ${taskName}:`, err));
+      }
     });
 
     child.on("error", (error) => {
-      Log.error(`Failed to start or error in child process for ${taskName}:`, error);
+      Log.error(`Failed to start or error in child process for ${taskName} (run ${runId}):`, error);
       // lastCompletion is not updated on error
       taskRunningFlags[taskName] = false;
+      taskChildProcesses[taskName] = null;
+      taskRunIds[taskName] = null;
       // Timestamps with lastAttemptedStart are already written
     });
   } else {
@@ -135,24 +222,64 @@ async function runTaskIfDue(taskName, taskRunnerPath, intervalMs) {
   }
 }
 
-setInterval(() => {
-  runTaskIfDue(WAZE_TASK_NAME, WAZE_RUNNER_PATH, WAZE_UPDATE_INTERVAL_MS).catch((err) => Log.error(`Error in scheduled execution wrapper for ${WAZE_TASK_NAME}:`, err));
-}, WAZE_UPDATE_INTERVAL_MS);
+// Task control for the admin API, runs are started through runTaskIfDue like scheduled ones
+const scheduler = {
+  listTasks() {
+    const allTimestamps = readTimestamps();
+    return TASKS.map((task) => {
+      const taskTimestamps = allTimestamps[task.name] || {};
+      return {
+        name: task.name,
+        intervalMs: task.intervalMs,
+        running: taskRunningFlags[task.name],
+        queued: taskRerunArgs[task.name] !== null,
+        runId: taskRunIds[task.name],
+        fullRebuildSupported: task.name === GRID_TASK_NAME,
+        lastAttemptedStart: taskTimestamps.lastAttemptedStart || null,
+        lastCompletion: taskTimestamps.lastCompletion || null,
+        lastExitCode: taskTimestamps.lastExitCode === undefined ? null : taskTimestamps.lastExitCode,
+      };
+    });
+  },
+
+  // Returns "started", or "queued" if the task is busy and will run again once it finishes
+  runTask(taskName, { fullRebuild = false } = {}) {
+    const task = TASKS.find((candidate) => candidate.name === taskName);
+    const status = taskRunningFlags[taskName] ? "queued" : "started";
+    const args = fullRebuild ? [...task.args, GRID_FULL_REBUILD_ARG] : task.args;
+    Log.info(`Admin API requested a run of ${taskName}${fullRebuild ? " (full rebuild)" : ""}.`);
+    runTaskIfDue(task.name, task.runnerPath, task.intervalMs, args, true).catch((err) => Log.error(`Error in admin execution wrapper for ${taskName}:`, err));
+    return status;
+  },
 
-setInterval(() => {
-  runTaskIfDue(GRID_TASK_NAME, GRID_RUNNER_PATH, GRID_UPDATE_INTERVAL_MS).catch((err) => Log.error(`Error in scheduled execution wrapper for ${GRID_TASK_NAME}:`, err));
-}, GRID_UPDATE_INTERVAL_MS);
+  // Stops the running child process and drops a queued rerun, returns false if the task is not running
+  cancelTask(taskName) {
+    const child = taskChildProcesses[taskName];
+    if (!child) return false;
+    Log.info(`Admin API cancelled ${taskName}.`);
+    taskRerunArgs[taskName] = null;
+    child.kill("SIGTERM");
+    return true;
+  },
+};
+
+for (const task of TASKS) {
+  setInterval(() => {
+    runTaskIfDue(task.name, task.runnerPath, task.intervalMs, task.args).catch((err) => Log.error(`Error in scheduled execution wrapper for ${task.name}:`, err));
+  }, task.intervalMs);
+}
 
 async function setup() {
   Log.info("Running initial setup checks for tasks...");
-  await runTaskIfDue(WAZE_TASK_NAME, WAZE_RUNNER_PATH, WAZE_UPDATE_INTERVAL_MS);
-  await runTaskIfDue(GRID_TASK_NAME, GRID_RUNNER_PATH, GRID_UPDATE_INTERVAL_MS);
+  for (const task of TASKS) {
+    await runTaskIfDue(task.name, task.runnerPath, task.intervalMs, task.args);
+  }
   Log.info("Initial setup checks complete.");
 }
 
 async function main() {
   await setup();
-  Server.startServer(); // Server runs in the main process
+  Server.startServer(scheduler); // Server runs in the main process
 }
 
 main().catch((error) => {
@@ -1,18 +1,140 @@
-function getTimestamp() {
-  const now = new Date();
+const fs = require("fs");
+const Path = require("path");
+const util = require("util");
 
-  const timestamp = [now.getDate().toString().padStart(2, "0"), "/", (now.getMonth() + 1).toString().padStart(2, "0"), "/", now.getFullYear(), " - ", now.getHours().toString().padStart(2, "0"), ":", now.getMinutes().toString().padStart(2, "0"), ":", now.getSeconds().toString().padStart(2, "0")].join("");
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["pretty", "json"];
+// index.js sets this on every runner it forks, so the lines of one run can be told apart from concurrent ones
+const RUN_ID_ENV_KEY = "HEATMAP_RUN_ID";
+const runId = process.env[RUN_ID_ENV_KEY] || null;
 
-  return timestamp;
+// Defaults until config.js applies the LOG_* settings, so configuration errors are still printed
+let settings = { level: "info", format: "pretty", filePath: null, fileMaxBytes: 0, fileMaxFiles: 0 };
+
+function configure(newSettings) {
+  settings = { ...settings, ...newSettings };
+  if (settings.filePath) fs.mkdirSync(Path.dirname(settings.filePath), { recursive: true });
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.cause instanceof Error) serialized.cause = serializeError(error.cause);
+  else if (error.cause !== undefined) serialized.cause = error.cause;
+  return serialized;
+}
+
+// Extra arguments are kept as structured fields, errors with their stacks
+function createEntry(level, text, args) {
+  const entry = { time: new Date().toISOString(), level, pid: process.pid };
+  if (runId) entry.run_id = runId;
+  entry.msg = String(text);
+  const errors = args.filter((arg) => arg instanceof Error);
+  const details = args.filter((arg) => !(arg instanceof Error));
+  if (errors.length > 0) entry.error = errors.length === 1 ? serializeError(errors[0]) : errors.map(serializeError);
+  if (details.length > 0) entry.details = details.length === 1 ? details[0] : details;
+  return { entry, errors, details };
+}
+
+function formatPretty({ entry, errors, details }) {
+  const prefix = `${entry.time} ${entry.level.toUpperCase().padEnd(5)}${runId ? ` [${runId}]` : ""}`;
+  const extras = details.map((detail) => (typeof detail === "string" ? detail : util.inspect(detail, { depth: 4, breakLength: Infinity })));
+  const lines = [[prefix, entry.msg, ...extras].join(" "), ...errors.map((error) => util.inspect(error))];
+  return lines.join("\n");
+}
+
+function formatJson({ entry }) {
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    // Details that cannot be serialized (e.g. circular) are inspected instead
+    return JSON.stringify({ ...entry, details: util.inspect(entry.details, { depth: 4 }) });
+  }
+}
+
+// Several processes append to the file, so only the main process rotates it: runners are started with a run ID and only
+// append, the file is reopened by path on every write so they follow a rotation
+const ownsRotation = !runId;
+// Write errors are reported once until a write succeeds again, file output is never turned off
+let fileErrorReported = false;
+
+function statFile(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Rotated files that are missing (fewer rotations so far, or moved by another process) are skipped
+function renameIfExists(fromPath, toPath) {
+  try {
+    fs.renameSync(fromPath, toPath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+// Keeps at most fileMaxFiles rotated files next to the log file: name.1 is the newest, the oldest is overwritten.
+// The file is first claimed by moving it aside, a rename only one process can win: one that finds it gone lost to
+// another rotation (e.g. by a CLI script) and appends to the new file instead of shifting the rotated files twice.
+function rotateFileIfFull(bytes) {
+  const stat = statFile(settings.filePath);
+  if (!stat || stat.size === 0 || stat.size + bytes <= settings.fileMaxBytes) return;
+  const claimedPath = `${settings.filePath}.rotating-${process.pid}`;
+  try {
+    fs.renameSync(settings.filePath, claimedPath);
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+  for (let index = settings.fileMaxFiles - 1; index >= 1; index--) {
+    renameIfExists(`${settings.filePath}.${index}`, `${settings.filePath}.${index + 1}`);
+  }
+  fs.renameSync(claimedPath, `${settings.filePath}.1`);
+}
+
+function reportFileError(action, error) {
+  if (fileErrorReported) return;
+  fileErrorReported = true;
+  process.stderr.write(`Log file ${action} failed for ${settings.filePath}, retrying with the next line: ${error.message}\n`);
+}
+
+// Each line is a single append, a failed rotation still appends to the current file
+function writeToFile(line) {
+  if (ownsRotation) {
+    try {
+      rotateFileIfFull(Buffer.byteLength(line));
+    } catch (error) {
+      reportFileError("rotation", error);
+    }
+  }
+  try {
+    fs.appendFileSync(settings.filePath, line);
+    fileErrorReported = false;
+  } catch (error) {
+    reportFileError("write", error);
+  }
 }
 
-function getFormattedText(text, prefix = undefined) {
-  return prefix === undefined ? `[${getTimestamp()}] ${text}` : `${prefix} [${getTimestamp()}] ${text}`;
+function log(level, text, args) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const record = createEntry(level, text, args);
+  const line = settings.format === "json" ? formatJson(record) : formatPretty(record);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + "\n");
+  // The file is always JSON lines, whatever the console format
+  if (settings.filePath) writeToFile((settings.format === "json" ? line : formatJson(record)) + "\n");
 }
 
 module.exports = {
-  debug: (text) => console.debug(getFormattedText(text, "[DEBUG]")),
-  info: (text) => console.info(getFormattedText(text, "[INFO]")),
-  warn: (text) => console.warn(getFormattedText(text, "[WARNING]")),
-  error: (text) => console.error(getFormattedText(text, "[ERROR]")),
+  LEVEL_NAMES: Object.keys(LEVELS),
+  FORMATS,
+  RUN_ID_ENV_KEY,
+  configure,
+  debug: (text, ...args) => log("debug", text, args),
+  info: (text, ...args) => log("info", text, args),
+  warn: (text, ...args) => log("warn", text, args),
+  error: (text, ...args) => log("error", text, args),
 };
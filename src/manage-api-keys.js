@@ -0,0 +1,92 @@
+// Manages the keys required with API_AUTH=api_key: npm run api-keys -- <command>
+require("dotenv").config();
+const Database = require("better-sqlite3");
+const Path = require("path");
+const config = require("./config");
+const Log = require("./log");
+const Migrate = require("./migrate");
+const ApiKeys = require("./api-keys");
+
+const USAGE = [
+  "Usage: npm run api-keys -- <command>",
+  "  create <name> [--rate-limit <requests per minute>] [--quotas <json>]",
+  "  update <name> [--rate-limit <requests per minute|default>] [--quotas <json|default>]",
+  "  revoke <name>",
+  "  list",
+  "  usage [hours, 24 by default]",
+  'Quotas are per grid level 0-5, e.g. {"max_bbox_area":[64800,64800,64800,400,25,1],"max_cells":[100000,100000,100000,100000,100000,20000]}',
+].join("\n");
+
+function exitWithUsage() {
+  Log.error(USAGE);
+  process.exit(1);
+}
+
+// Returns { rateLimitPerMinute, quotas }, undefined when not given and null for "default"
+function parseLimitOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const [option, value] = [args[i], args[i + 1]];
+    if (value === undefined) exitWithUsage();
+    if (option === "--rate-limit") {
+      options.rateLimitPerMinute = value === "default" ? null : Number(value);
+    } else if (option === "--quotas") {
+      try {
+        options.quotas = value === "default" ? null : JSON.parse(value);
+      } catch (error) {
+        throw new Error(`--quotas is not valid JSON: ${error.message}`);
+      }
+    } else {
+      exitWithUsage();
+    }
+  }
+  return options;
+}
+
+const formatTime = (timestamp) => (timestamp === null ? "-" : new Date(timestamp).toISOString());
+
+function run(db, [command, ...args]) {
+  if (command === "create" && args.length >= 1) {
+    const [name, ...optionArgs] = args;
+    const key = ApiKeys.createApiKey(db, name, parseLimitOptions(optionArgs));
+    Log.info(`Created API key "${name}". It is only shown this once:`);
+    // Written to stdout only, so the key never ends up in a log file
+    process.stdout.write(`${key}\n`);
+  } else if (command === "update" && args.length >= 1) {
+    const [name, ...optionArgs] = args;
+    if (!ApiKeys.updateApiKeyLimits(db, name, parseLimitOptions(optionArgs))) throw new Error(`No API key named "${name}".`);
+    Log.info(`Updated the limits of API key "${name}".`);
+  } else if (command === "revoke" && args.length === 1) {
+    if (!ApiKeys.revokeApiKey(db, args[0])) throw new Error(`No active API key named "${args[0]}".`);
+    Log.info(`Revoked API key "${args[0]}".`);
+  } else if (command === "list" && args.length === 0) {
+    const apiKeys = ApiKeys.listApiKeys(db);
+    if (apiKeys.length === 0) Log.info("No API keys yet.");
+    for (const apiKey of apiKeys) {
+      Log.info(`${apiKey.name}: rate limit ${apiKey.rate_limit_per_minute ?? `default (${config.API_RATE_LIMIT_PER_MINUTE})`}/min, quotas ${apiKey.quotas ?? "default"}, created ${formatTime(apiKey.created_at)}${apiKey.revoked_at === null ? "" : `, revoked ${formatTime(apiKey.revoked_at)}`}`);
+    }
+  } else if (command === "usage" && args.length <= 1) {
+    const hours = args.length === 0 ? 24 : Number(args[0]);
+    if (!Number.isInteger(hours) || hours <= 0) exitWithUsage();
+    const rows = ApiKeys.getUsage(db, Date.now() - hours * 3600 * 1000);
+    Log.info(`API usage over the last ${hours} hour(s), busiest first${rows.length === 0 ? ": none" : ""}`);
+    for (const row of rows) {
+      Log.info(`${row.name} ${row.route}: ${row.request_count} request(s), ${row.rejected_count} rejected, ${row.cell_count} cell(s) returned`);
+    }
+  } else {
+    exitWithUsage();
+  }
+}
+
+const dbPath = Path.join(config.HEATMAP_CACHE_DIR_PATH, config.DB_FILENAME);
+let db;
+try {
+  db = new Database(dbPath, { fileMustExist: true });
+  Migrate.assertSchemaUpToDate(db);
+  run(db, process.argv.slice(2));
+} catch (error) {
+  Log.error(`FATAL: ${error.message}`);
+  process.exit(1);
+} finally {
+  if (db) db.close();
+}
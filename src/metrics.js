@@ -0,0 +1,114 @@
+// Prometheus metrics, rendered by /metrics in the main process. Runners are child processes, they call
+// forwardToParentProcess() so each record is sent to the parent as it is made instead (see index.js).
+const METRIC_PREFIX = "heatmap_";
+const DURATION_BUCKETS_SECONDS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 3600];
+const LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const METRIC_DEFINITIONS = {
+  waze_requests_total: { type: "counter", help: "Area requests to the alert source by HTTP status, network_error when no response was received, invalid_body when it was not valid JSON.", labelNames: ["source", "status"] },
+  waze_request_retries_total: { type: "counter", help: "Area requests retried after a 403 response.", labelNames: ["source"] },
+  waze_areas_processed_total: { type: "counter", help: "Areas whose alerts were stored.", labelNames: ["region"] },
+  waze_areas_split_total: { type: "counter", help: "Areas split into quadrants for returning too many alerts.", labelNames: ["region"] },
+  waze_areas_failed_total: { type: "counter", help: "Areas that could not be fetched and are retried next crawl.", labelNames: ["region"] },
+  waze_alerts_stored_total: { type: "counter", help: "Alerts stored that were not seen before.", labelNames: ["region"] },
+  waze_run_alerts_stored: { type: "gauge", help: "Alerts stored that were not seen before by the last completed fetch of a region.", labelNames: ["region"] },
+  grid_build_duration_seconds: { type: "histogram", help: "Duration of grid updates and snapshot builds.", labelNames: ["kind"], buckets: DURATION_BUCKETS_SECONDS },
+  grid_cells: { type: "gauge", help: "Rows of each grid product in the live generation.", labelNames: ["product"] },
+  task_runs_total: { type: "counter", help: "Finished scheduled task runs by result.", labelNames: ["task", "result"] },
+  http_request_duration_seconds: { type: "histogram", help: "API request latency by route and status.", labelNames: ["method", "route", "status"], buckets: LATENCY_BUCKETS_SECONDS },
+  data_age_seconds: { type: "gauge", help: "Age of the newest alert sighting and of the live grid's last update.", labelNames: ["data"] },
+};
+
+// Series per metric, keyed by their label values
+const series = new Map(Object.keys(METRIC_DEFINITIONS).map((name) => [name, new Map()]));
+
+let forwardToParent = false;
+// IPC messages arrive in order, so the last send resolving means every record reached the parent
+let lastSend = Promise.resolve();
+
+function getSeries(name, labels) {
+  const definition = METRIC_DEFINITIONS[name];
+  if (!definition) throw new Error(`Unknown metric "${name}"`);
+  const labelValues = definition.labelNames.map((labelName) => String(labels[labelName] ?? ""));
+  const key = JSON.stringify(labelValues);
+  const metricSeries = series.get(name);
+  if (!metricSeries.has(key)) {
+    const initialValue = definition.type === "histogram" ? { bucketCounts: definition.buckets.map(() => 0), sum: 0, count: 0 } : 0;
+    metricSeries.set(key, { labelValues, value: initialValue });
+  }
+  return metricSeries.get(key);
+}
+
+function applyRecord([operation, name, labels, value]) {
+  const entry = getSeries(name, labels);
+  if (operation === "increment") {
+    entry.value += value;
+  } else if (operation === "set") {
+    entry.value = value;
+  } else if (operation === "observe") {
+    // Bucket counts are cumulative, as rendered
+    METRIC_DEFINITIONS[name].buckets.forEach((bucket, index) => {
+      if (value <= bucket) entry.value.bucketCounts[index]++;
+    });
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+}
+
+function record(operation, name, labels, value) {
+  if (forwardToParent) {
+    // Sent right away, so /metrics follows a long or stalled run and keeps what a crashed one recorded
+    lastSend = new Promise((resolve) => process.send({ type: "metrics", records: [[operation, name, labels, value]] }, () => resolve()));
+  } else {
+    applyRecord([operation, name, labels, value]);
+  }
+}
+
+const increment = (name, labels = {}, value = 1) => record("increment", name, labels, value);
+const set = (name, labels, value) => record("set", name, labels, value);
+const observe = (name, labels, value) => record("observe", name, labels, value);
+
+// Called by runners forked with an IPC channel, standalone runs keep their metrics to themselves
+function forwardToParentProcess() {
+  forwardToParent = Boolean(process.send);
+}
+
+// Resolves once the records sent so far are delivered, runners await this before exiting
+function flush() {
+  return lastSend;
+}
+
+function applyRunnerRecords(records) {
+  for (const runnerRecord of records) applyRecord(runnerRecord);
+}
+
+function formatLabels(labelNames, labelValues, extraLabels = "") {
+  const pairs = labelNames.map((labelName, index) => `${labelName}="${labelValues[index].replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  if (extraLabels) pairs.push(extraLabels);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Prometheus text exposition format
+function render() {
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    const fullName = `${METRIC_PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+    for (const { labelValues, value } of series.get(name).values()) {
+      if (definition.type !== "histogram") {
+        lines.push(`${fullName}${formatLabels(definition.labelNames, labelValues)} ${value}`);
+        continue;
+      }
+      definition.buckets.forEach((bucket, index) => {
+        lines.push(`${fullName}_bucket${formatLabels(definition.labelNames, labelValues, `le="${bucket}"`)} ${value.bucketCounts[index]}`);
+      });
+      lines.push(`${fullName}_bucket${formatLabels(definition.labelNames, labelValues, 'le="+Inf"')} ${value.count}`);
+      lines.push(`${fullName}_sum${formatLabels(definition.labelNames, labelValues)} ${value.sum}`);
+      lines.push(`${fullName}_count${formatLabels(definition.labelNames, labelValues)} ${value.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { increment, set, observe, forwardToParentProcess, flush, applyRunnerRecords, render };
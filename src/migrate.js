@@ -0,0 +1,75 @@
+const fs = require("fs");
+const Path = require("path");
+const Log = require("./log");
+
+const MIGRATIONS_DIR_PATH = Path.resolve(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)-[\w-]+\.js$/;
+
+// Migration files are named "<version>-<name>.js" and export { description, up(db) }
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR_PATH)
+    .map((fileName) => ({ fileName, match: fileName.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match !== null)
+    .map(({ fileName, match }) => ({ version: parseInt(match[1], 10), name: Path.basename(fileName, ".js"), ...require(Path.join(MIGRATIONS_DIR_PATH, fileName)) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function getSchemaVersion(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)`);
+  const row = db.prepare(`SELECT MAX(version) AS version FROM schema_version`).get();
+  return row && row.version !== null ? row.version : 0;
+}
+
+function getPendingMigrations(db) {
+  const currentVersion = getSchemaVersion(db);
+  return loadMigrations().filter((migration) => migration.version > currentVersion);
+}
+
+// Applies every pending migration in order, each one in its own transaction
+function applyMigrations(db) {
+  const pendingMigrations = getPendingMigrations(db);
+  if (pendingMigrations.length === 0) {
+    Log.info(`Database schema is up to date (version ${getSchemaVersion(db)}).`);
+    return 0;
+  }
+
+  const recordVersionStmt = db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`);
+  for (const migration of pendingMigrations) {
+    Log.info(`Applying migration ${migration.name}: ${migration.description}`);
+    db.transaction(() => {
+      migration.up(db);
+      recordVersionStmt.run(migration.version, migration.name, Date.now());
+    })();
+  }
+  Log.info(`Applied ${pendingMigrations.length} migration(s). Database schema is now at version ${getSchemaVersion(db)}.`);
+  return pendingMigrations.length;
+}
+
+// Writers call this instead of creating tables themselves
+function assertSchemaUpToDate(db) {
+  const pendingMigrations = getPendingMigrations(db);
+  if (pendingMigrations.length > 0) {
+    throw new Error(`Database schema is out of date, pending migrations: ${pendingMigrations.map((migration) => migration.name).join(", ")}. Start the server or run "npm run migrate" first.`);
+  }
+}
+
+module.exports = { applyMigrations, assertSchemaUpToDate, getSchemaVersion };
+
+if (require.main === module) {
+  require("dotenv").config();
+  const config = require("./config");
+  const Database = require("better-sqlite3");
+
+  const dbPath = Path.join(config.HEATMAP_CACHE_DIR_PATH, config.DB_FILENAME);
+  try {
+    fs.mkdirSync(config.HEATMAP_CACHE_DIR_PATH, { recursive: true });
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    applyMigrations(db);
+    db.close();
+  } catch (error) {
+    Log.error(`FATAL: Could not migrate database at ${dbPath}: ${error.message}`);
+    process.exit(1);
+  }
+}
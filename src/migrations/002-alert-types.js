@@ -0,0 +1,24 @@
+const ALERT_COLUMNS = [
+  { name: "type", definition: "TEXT" },
+  { name: "subtype", definition: "TEXT" },
+  { name: "street", definition: "TEXT" },
+  { name: "city", definition: "TEXT" },
+  { name: "reportRating", definition: "INTEGER" },
+  { name: "nThumbsUp", definition: "INTEGER" },
+];
+
+// Databases written before versioning may already have some of these columns
+module.exports = {
+  description: "Store every Waze alert type with its details",
+  up(db) {
+    const existingColumns = db.prepare(`PRAGMA table_info(alerts)`).all().map((column) => column.name);
+    for (const column of ALERT_COLUMNS) {
+      if (!existingColumns.includes(column.name)) {
+        db.exec(`ALTER TABLE alerts ADD COLUMN ${column.name} ${column.definition}`);
+      }
+    }
+    // Only police alerts were stored before types were tracked
+    db.exec(`UPDATE alerts SET type = 'POLICE' WHERE type IS NULL`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_alerts_type_pubMillis ON alerts (type, pubMillis)`);
+  },
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  description: "Create speed_cameras table",
+  up(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS speed_cameras (id TEXT PRIMARY KEY, source TEXT NOT NULL, camera_type TEXT NOT NULL, latitude REAL NOT NULL, longitude REAL NOT NULL, speed_limit INTEGER, description TEXT, updated_at INTEGER NOT NULL)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_speed_cameras_coords ON speed_cameras (longitude, latitude)`);
+  },
+};
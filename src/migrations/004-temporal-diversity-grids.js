@@ -0,0 +1,19 @@
+// Grid rows are derived from alerts, so an older layout is dropped and rebuilt by the next grid update
+module.exports = {
+  description: "Create temporal_diversity_grids table keyed by alert type",
+  up(db) {
+    db.exec(`DROP TABLE IF EXISTS temporal_diversity_grids`);
+    db.exec(`
+      CREATE TABLE temporal_diversity_grids (
+        alert_type TEXT NOT NULL,
+        radius_group_id INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        lon_scaled INTEGER NOT NULL,
+        lat_scaled INTEGER NOT NULL,
+        diversity_score INTEGER NOT NULL,
+        PRIMARY KEY (alert_type, radius_group_id, level, lon_scaled, lat_scaled)
+      )
+    `);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_temporal_diversity_grids_coords ON temporal_diversity_grids (alert_type, radius_group_id, level, lon_scaled, lat_scaled)`);
+  },
+};
@@ -0,0 +1,22 @@
+// Grids are built under a new generation and swapped in through metadata.live_grid_generation_id once complete
+module.exports = {
+  description: "Track grid generations so rebuilds can be swapped in atomically",
+  up(db) {
+    db.exec(`CREATE TABLE grid_generations (generation_id INTEGER PRIMARY KEY AUTOINCREMENT, status TEXT NOT NULL, reference_timestamp INTEGER, started_at INTEGER NOT NULL, completed_at INTEGER)`);
+
+    // Existing rows have no generation and are rebuilt by the next grid update
+    db.exec(`DROP TABLE IF EXISTS temporal_diversity_grids`);
+    db.exec(`
+      CREATE TABLE temporal_diversity_grids (
+        generation_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        radius_group_id INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        lon_scaled INTEGER NOT NULL,
+        lat_scaled INTEGER NOT NULL,
+        diversity_score INTEGER NOT NULL,
+        PRIMARY KEY (generation_id, alert_type, radius_group_id, level, lon_scaled, lat_scaled)
+      )
+    `);
+  },
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  description: "Create density_grids table with per-time-window alert counts",
+  up(db) {
+    db.exec(`
+      CREATE TABLE density_grids (
+        generation_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        time_window_id INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        lon_scaled INTEGER NOT NULL,
+        lat_scaled INTEGER NOT NULL,
+        density INTEGER NOT NULL,
+        PRIMARY KEY (generation_id, alert_type, time_window_id, level, lon_scaled, lat_scaled)
+      )
+    `);
+    db.exec(`CREATE INDEX idx_density_grids_coords ON density_grids (generation_id, alert_type, level, lon_scaled, lat_scaled)`);
+  },
+};
@@ -0,0 +1,8 @@
+// Quadtree areas are identified by their path from the crawl root, one digit (0-3) per split
+module.exports = {
+  description: "Persist the Waze crawl frontier and the leaf tiling of the last completed crawl",
+  up(db) {
+    db.exec(`CREATE TABLE crawl_areas (root_key TEXT NOT NULL, path TEXT NOT NULL, status TEXT NOT NULL, alert_count INTEGER, PRIMARY KEY (root_key, path))`);
+    db.exec(`CREATE TABLE crawl_leaves (root_key TEXT NOT NULL, path TEXT NOT NULL, alert_count INTEGER, PRIMARY KEY (root_key, path))`);
+  },
+};
@@ -0,0 +1,12 @@
+// Alerts stored before regions existed keep a NULL region
+module.exports = {
+  description: "Tag alerts with the monitoring region they were fetched for",
+  up(db) {
+    db.exec(`ALTER TABLE alerts ADD COLUMN region TEXT`);
+    db.exec(`CREATE INDEX idx_alerts_region_pubMillis ON alerts (region, pubMillis)`);
+
+    // Crawl state is now keyed by region, the old bbox-only keys can never be resumed
+    db.exec(`DELETE FROM crawl_areas`);
+    db.exec(`DELETE FROM crawl_leaves`);
+  },
+};
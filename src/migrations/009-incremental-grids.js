@@ -0,0 +1,10 @@
+// The live generation remembers the last alert rowid it includes, so later runs only patch cells touched by newer alerts
+module.exports = {
+  description: "Track the alerts included in each grid generation for incremental updates",
+  up(db) {
+    db.exec(`ALTER TABLE grid_generations ADD COLUMN max_alert_rowid INTEGER`);
+    db.exec(`ALTER TABLE grid_generations ADD COLUMN updated_at INTEGER`);
+    // Incremental updates load the alerts around changed cells by bbox
+    db.exec(`CREATE INDEX idx_alerts_type_longitude_latitude ON alerts (type, longitude, latitude)`);
+  },
+};
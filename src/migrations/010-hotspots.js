@@ -0,0 +1,26 @@
+// Hotspots are clusters of alerts, built per grid generation like the grid products
+module.exports = {
+  description: "Create hotspots table with clustered alert statistics",
+  up(db) {
+    db.exec(`
+      CREATE TABLE hotspots (
+        generation_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        hotspot_id INTEGER NOT NULL,
+        centroid_longitude REAL NOT NULL,
+        centroid_latitude REAL NOT NULL,
+        min_longitude REAL NOT NULL,
+        min_latitude REAL NOT NULL,
+        max_longitude REAL NOT NULL,
+        max_latitude REAL NOT NULL,
+        alert_count INTEGER NOT NULL,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        dominant_hour INTEGER NOT NULL,
+        dominant_hour_share REAL NOT NULL,
+        PRIMARY KEY (generation_id, alert_type, hotspot_id)
+      )
+    `);
+    db.exec(`CREATE INDEX idx_hotspots_centroid ON hotspots (generation_id, alert_type, centroid_longitude, centroid_latitude)`);
+  },
+};
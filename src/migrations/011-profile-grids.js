@@ -0,0 +1,18 @@
+module.exports = {
+  description: "Create profile_grids table with alert counts per local hour of the week",
+  up(db) {
+    db.exec(`
+      CREATE TABLE profile_grids (
+        generation_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        hour_of_week INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        lon_scaled INTEGER NOT NULL,
+        lat_scaled INTEGER NOT NULL,
+        density INTEGER NOT NULL,
+        PRIMARY KEY (generation_id, alert_type, hour_of_week, level, lon_scaled, lat_scaled)
+      )
+    `);
+    db.exec(`CREATE INDEX idx_profile_grids_coords ON profile_grids (generation_id, alert_type, level, lon_scaled, lat_scaled)`);
+  },
+};
@@ -0,0 +1,10 @@
+// Alerts stored before lifetimes were tracked were only ever seen once, and each is its own incident
+module.exports = {
+  description: "Track when each alert was last seen and the incident it belongs to",
+  up(db) {
+    db.exec(`ALTER TABLE alerts ADD COLUMN last_seen INTEGER`);
+    db.exec(`ALTER TABLE alerts ADD COLUMN incident_id INTEGER`);
+    db.exec(`UPDATE alerts SET last_seen = pubMillis, incident_id = rowid`);
+    db.exec(`CREATE INDEX idx_alerts_incident_id ON alerts (incident_id)`);
+  },
+};
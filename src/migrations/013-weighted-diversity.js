@@ -0,0 +1,25 @@
+// Existing scores are the unweighted distinct time window counts, they are kept as the 'count' weighting
+module.exports = {
+  description: "Key temporal diversity scores by weighting and allow fractional weighted scores",
+  up(db) {
+    db.exec(`
+      CREATE TABLE temporal_diversity_grids_weighted (
+        generation_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        weighting TEXT NOT NULL,
+        radius_group_id INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        lon_scaled INTEGER NOT NULL,
+        lat_scaled INTEGER NOT NULL,
+        diversity_score REAL NOT NULL,
+        PRIMARY KEY (generation_id, alert_type, weighting, radius_group_id, level, lon_scaled, lat_scaled)
+      )
+    `);
+    db.exec(`
+      INSERT INTO temporal_diversity_grids_weighted (generation_id, alert_type, weighting, radius_group_id, level, lon_scaled, lat_scaled, diversity_score)
+      SELECT generation_id, alert_type, 'count', radius_group_id, level, lon_scaled, lat_scaled, diversity_score FROM temporal_diversity_grids
+    `);
+    db.exec(`DROP TABLE temporal_diversity_grids`);
+    db.exec(`ALTER TABLE temporal_diversity_grids_weighted RENAME TO temporal_diversity_grids`);
+  },
+};
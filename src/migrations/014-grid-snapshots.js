@@ -0,0 +1,10 @@
+// Snapshots are generations built as of a chosen reference timestamp and kept under a name until they are rebuilt.
+// Each keeps the definitions it was built with, the live generation's are in metadata.
+module.exports = {
+  description: "Keep named grid snapshots with the definitions they were built with",
+  up(db) {
+    db.exec(`ALTER TABLE grid_generations ADD COLUMN snapshot_name TEXT`);
+    db.exec(`ALTER TABLE grid_generations ADD COLUMN definitions TEXT`);
+    db.exec(`CREATE UNIQUE INDEX idx_grid_generations_snapshot_name ON grid_generations (snapshot_name) WHERE status = 'snapshot'`);
+  },
+};
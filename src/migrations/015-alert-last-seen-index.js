@@ -0,0 +1,7 @@
+// The newest sighting tells how fresh the stored alerts are, /healthz and /readyz look it up on every probe
+module.exports = {
+  description: "Index when alerts were last seen",
+  up(db) {
+    db.exec(`CREATE INDEX idx_alerts_last_seen ON alerts (last_seen)`);
+  },
+};
@@ -0,0 +1,20 @@
+// Keys are stored as SHA-256 hashes. Rate limits and quotas left NULL fall back to the API_* defaults.
+// Usage is summed per key, hour and route.
+module.exports = {
+  description: "Store API keys with their limits and usage",
+  up(db) {
+    db.exec(`CREATE TABLE api_keys (key_id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, key_hash TEXT NOT NULL UNIQUE, rate_limit_per_minute INTEGER, quotas TEXT, created_at INTEGER NOT NULL, revoked_at INTEGER)`);
+    db.exec(`
+      CREATE TABLE api_key_usage (
+        key_id INTEGER NOT NULL,
+        hour_start INTEGER NOT NULL,
+        route TEXT NOT NULL,
+        request_count INTEGER NOT NULL,
+        rejected_count INTEGER NOT NULL,
+        cell_count INTEGER NOT NULL,
+        PRIMARY KEY (key_id, hour_start, route)
+      )
+    `);
+    db.exec(`CREATE INDEX idx_api_key_usage_hour_start ON api_key_usage (hour_start)`);
+  },
+};
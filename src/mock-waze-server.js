@@ -0,0 +1,143 @@
+/*
+  -- Local stand-in for the Waze live map georss endpoint, for running the scraper offline --
+  Point WAZE_BASE_URL at http://localhost:<port>/live-map/api/georss
+*/
+const express = require("express");
+const fs = require("fs");
+const Log = require("./log");
+
+const GEORSS_PATH = "/live-map/api/georss";
+const ALERT_TYPES = [
+  { type: "POLICE", subtypes: ["", "POLICE_VISIBLE", "POLICE_HIDING"] },
+  { type: "ACCIDENT", subtypes: ["", "ACCIDENT_MINOR", "ACCIDENT_MAJOR"] },
+  { type: "HAZARD", subtypes: ["HAZARD_ON_ROAD_OBJECT", "HAZARD_ON_SHOULDER_CAR_STOPPED", "HAZARD_WEATHER_FOG"] },
+  { type: "ROAD_CLOSED", subtypes: ["", "ROAD_CLOSED_EVENT", "ROAD_CLOSED_CONSTRUCTION"] },
+  { type: "JAM", subtypes: ["JAM_MODERATE_TRAFFIC", "JAM_HEAVY_TRAFFIC", "JAM_STAND_STILL_TRAFFIC"] },
+];
+const DAY_MS = 86400000;
+
+// Deterministic PRNG (mulberry32) so generated alerts are identical between runs with the same seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateAlerts({ count, area, seed, now = Date.now() }) {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const alerts = [];
+  for (let i = 0; i < count; i++) {
+    const { type, subtypes } = pick(ALERT_TYPES);
+    alerts.push({
+      uuid: `mock-${seed}-${i}`,
+      type,
+      subtype: pick(subtypes),
+      pubMillis: now - Math.floor(random() * 90 * DAY_MS),
+      location: { x: area.left + random() * (area.right - area.left), y: area.bottom + random() * (area.top - area.bottom) },
+      confidence: Math.floor(random() * 6),
+      reliability: Math.floor(random() * 11),
+      reportRating: Math.floor(random() * 6),
+      nThumbsUp: Math.floor(random() * 10),
+      street: `Mock St ${i % 100}`,
+      city: "Mockville",
+    });
+  }
+  return alerts;
+}
+
+function loadAlertsFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const alerts = Array.isArray(data) ? data : data.alerts;
+  if (!Array.isArray(alerts)) throw new Error(`${filePath} must contain an array of alerts or a georss response`);
+  return alerts;
+}
+
+// Options: alerts (georss alert objects), maxAlerts (per response truncation like the live map), forbiddenRate (0-1), seed
+function createMockWazeServer({ alerts, maxAlerts = 200, forbiddenRate = 0, seed = 1 }) {
+  const random = createRandom(seed);
+  const stats = { requests: 0, forbidden: 0, served: 0, truncated: 0 };
+  let forcedFailures = [];
+
+  const app = express();
+
+  app.get(GEORSS_PATH, (req, res) => {
+    stats.requests++;
+
+    const forcedStatus = forcedFailures.shift();
+    if (forcedStatus !== undefined || random() < forbiddenRate) {
+      const status = forcedStatus || 403;
+      if (status === 403) stats.forbidden++;
+      return res.status(status).send(status === 403 ? "Forbidden" : "Error");
+    }
+
+    const top = parseFloat(req.query.top);
+    const bottom = parseFloat(req.query.bottom);
+    const left = parseFloat(req.query.left);
+    const right = parseFloat(req.query.right);
+    if ([top, bottom, left, right].some((value) => isNaN(value))) {
+      return res.status(400).json({ error: "top, bottom, left and right are required" });
+    }
+
+    const matching = alerts.filter((alert) => alert.location.y <= top && alert.location.y >= bottom && alert.location.x >= left && alert.location.x <= right);
+    if (matching.length > maxAlerts) stats.truncated++;
+    stats.served++;
+    res.json({ alerts: matching.slice(0, maxAlerts), startTimeMillis: Date.now(), endTimeMillis: Date.now() });
+  });
+
+  // Control endpoints: queue failures for the next requests and inspect what the scraper did
+  app.post("/mock/fail", (req, res) => {
+    const count = parseInt(req.query.count || "1", 10);
+    const status = parseInt(req.query.status || "403", 10);
+    if (isNaN(count) || count < 0 || isNaN(status) || status < 400 || status > 599) {
+      return res.status(400).json({ error: "count must be a non-negative integer and status a 4xx/5xx code" });
+    }
+    forcedFailures.push(...Array(count).fill(status));
+    res.json({ queued: forcedFailures.length });
+  });
+
+  app.get("/mock/stats", (req, res) => {
+    res.json({ ...stats, alerts: alerts.length, maxAlerts, queuedFailures: forcedFailures.length });
+  });
+
+  app.post("/mock/reset", (req, res) => {
+    Object.keys(stats).forEach((key) => (stats[key] = 0));
+    forcedFailures = [];
+    res.json(stats);
+  });
+
+  return { app, stats };
+}
+
+module.exports = { createMockWazeServer, generateAlerts, GEORSS_PATH };
+
+if (require.main === module) {
+  require("dotenv").config();
+  const env = process.env;
+
+  const port = parseInt(env.MOCK_WAZE_PORT || "3100", 10);
+  const seed = parseInt(env.MOCK_WAZE_SEED || "1", 10);
+  const area = {
+    top: parseFloat(env.WAZE_AREA_TOP || "-10.683"),
+    bottom: parseFloat(env.WAZE_AREA_BOTTOM || "-43.633"),
+    left: parseFloat(env.WAZE_AREA_LEFT || "113.15"),
+    right: parseFloat(env.WAZE_AREA_RIGHT || "153.633"),
+  };
+
+  const alerts = env.MOCK_WAZE_ALERTS_FILE ? loadAlertsFile(env.MOCK_WAZE_ALERTS_FILE) : generateAlerts({ count: parseInt(env.MOCK_WAZE_ALERT_COUNT || "5000", 10), area, seed });
+  const { app } = createMockWazeServer({
+    alerts,
+    maxAlerts: parseInt(env.MOCK_WAZE_MAX_ALERTS || env.WAZE_MAX_ALERTS || "200", 10),
+    forbiddenRate: parseFloat(env.MOCK_WAZE_FORBIDDEN_RATE || "0"),
+    seed,
+  });
+
+  app.listen(port, () => {
+    Log.info(`Mock Waze georss server with ${alerts.length} alerts listening on http://localhost:${port}${GEORSS_PATH}`);
+  });
+}
@@ -0,0 +1,168 @@
+// Minimal Mapbox Vector Tile (v2.1) encoder, see https://github.com/mapbox/vector-tile-spec
+const TILE_EXTENT = 4096;
+const MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+const GEOM_TYPE = { POINT: 1, LINESTRING: 2, POLYGON: 3 };
+const COMMAND = { MOVE_TO: 1, LINE_TO: 2, CLOSE_PATH: 7 };
+
+const WIRE_TYPE = { VARINT: 0, LENGTH_DELIMITED: 2 };
+
+// --- Protobuf writing ---
+function pushVarint(bytes, value) {
+  // Values stay well below 2^53 so plain arithmetic is safe (bitwise ops would truncate to 32 bits)
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+function pushKey(bytes, field, wireType) {
+  pushVarint(bytes, (field << 3) | wireType);
+}
+
+function pushVarintField(bytes, field, value) {
+  pushKey(bytes, field, WIRE_TYPE.VARINT);
+  pushVarint(bytes, value);
+}
+
+function pushBytesField(bytes, field, content) {
+  pushKey(bytes, field, WIRE_TYPE.LENGTH_DELIMITED);
+  pushVarint(bytes, content.length);
+  for (const byte of content) bytes.push(byte);
+}
+
+function pushPackedField(bytes, field, values) {
+  const packed = [];
+  for (const value of values) pushVarint(packed, value);
+  pushBytesField(bytes, field, packed);
+}
+
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+// --- Geometry ---
+function encodeRing(points, cursor) {
+  const geometry = [command(COMMAND.MOVE_TO, 1)];
+  points.forEach(([x, y], index) => {
+    if (index === 1) geometry.push(command(COMMAND.LINE_TO, points.length - 1));
+    geometry.push(zigzag(x - cursor.x), zigzag(y - cursor.y));
+    cursor.x = x;
+    cursor.y = y;
+  });
+  geometry.push(command(COMMAND.CLOSE_PATH, 1));
+  return geometry;
+}
+
+function encodeGeometry(feature) {
+  const cursor = { x: 0, y: 0 };
+  if (feature.type === GEOM_TYPE.POINT) {
+    const [x, y] = feature.geometry;
+    return [command(COMMAND.MOVE_TO, 1), zigzag(x), zigzag(y)];
+  }
+  if (feature.type === GEOM_TYPE.POLYGON) {
+    // Exterior rings must be clockwise in tile coordinates (y pointing down)
+    return feature.geometry.flatMap((ring) => encodeRing(ring, cursor));
+  }
+  throw new Error(`Unsupported geometry type: ${feature.type}`);
+}
+
+// --- Layers ---
+function encodeValue(value) {
+  const bytes = [];
+  if (typeof value === "string") {
+    pushBytesField(bytes, 1, Buffer.from(value, "utf8"));
+  } else if (typeof value === "boolean") {
+    pushVarintField(bytes, 7, value ? 1 : 0);
+  } else if (Number.isInteger(value) && value >= 0) {
+    pushVarintField(bytes, 5, value);
+  } else if (Number.isInteger(value)) {
+    pushVarintField(bytes, 6, zigzag(value));
+  } else {
+    pushKey(bytes, 3, 1); // double, 64-bit wire type
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    for (const byte of buffer) bytes.push(byte);
+  }
+  return bytes;
+}
+
+function encodeLayer(layer) {
+  const keys = [];
+  const keyIndex = new Map();
+  const values = [];
+  const valueIndex = new Map();
+
+  const bytes = [];
+  pushVarintField(bytes, 15, 2); // version
+  pushBytesField(bytes, 1, Buffer.from(layer.name, "utf8"));
+
+  for (const feature of layer.features) {
+    const tags = [];
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined) continue;
+      if (!keyIndex.has(key)) {
+        keyIndex.set(key, keys.length);
+        keys.push(key);
+      }
+      const valueKey = `${typeof value}:${value}`;
+      if (!valueIndex.has(valueKey)) {
+        valueIndex.set(valueKey, values.length);
+        values.push(value);
+      }
+      tags.push(keyIndex.get(key), valueIndex.get(valueKey));
+    }
+
+    const featureBytes = [];
+    if (tags.length > 0) pushPackedField(featureBytes, 2, tags);
+    pushVarintField(featureBytes, 3, feature.type);
+    pushPackedField(featureBytes, 4, encodeGeometry(feature));
+    pushBytesField(bytes, 2, featureBytes);
+  }
+
+  for (const key of keys) pushBytesField(bytes, 3, Buffer.from(key, "utf8"));
+  for (const value of values) pushBytesField(bytes, 4, encodeValue(value));
+  pushVarintField(bytes, 5, layer.extent || TILE_EXTENT);
+  return bytes;
+}
+
+// Layers are { name, extent?, features: [{ type, geometry, properties }] }
+// Point geometry is [x, y], polygon geometry is an array of rings of [x, y] tile coordinates
+function encodeTile(layers) {
+  const bytes = [];
+  for (const layer of layers) {
+    pushBytesField(bytes, 3, encodeLayer(layer));
+  }
+  return Buffer.from(bytes);
+}
+
+// --- Web mercator tile math ---
+function tileToLon(x, z) {
+  return (x / Math.pow(2, z)) * 360 - 180;
+}
+
+function tileToLat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+function getTileBounds(z, x, y) {
+  return { minLon: tileToLon(x, z), maxLon: tileToLon(x + 1, z), minLat: tileToLat(y + 1, z), maxLat: tileToLat(y, z) };
+}
+
+// Projects a coordinate into the tile's pixel space (may fall outside 0..extent for neighbouring areas)
+function projectToTile(lon, lat, z, x, y, extent = TILE_EXTENT) {
+  const clampedLat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat));
+  const scale = Math.pow(2, z);
+  const worldX = ((lon + 180) / 360) * scale;
+  const latRad = (clampedLat * Math.PI) / 180;
+  const worldY = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale;
+  return [Math.round((worldX - x) * extent), Math.round((worldY - y) * extent)];
+}
+
+module.exports = { encodeTile, getTileBounds, projectToTile, GEOM_TYPE, TILE_EXTENT };
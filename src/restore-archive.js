@@ -0,0 +1,18 @@
+// Re-imports alerts from archives written by the retention task: npm run restore:archive -- <archive.ndjson.gz> [...]
+require("dotenv").config();
+const Retention = require("./retention");
+const Log = require("./log");
+
+const filePaths = process.argv.slice(2);
+if (filePaths.length === 0) {
+  Log.error("Usage: npm run restore:archive -- <archive.ndjson.gz> [...]");
+  process.exit(1);
+}
+
+// Files are restored in the order given, oldest month first keeps incidents that span months together
+Retention.restoreArchives(filePaths)
+  .then(({ restoredCount }) => Log.info(`Restored ${restoredCount} alert(s) from ${filePaths.length} archive(s).`))
+  .catch((error) => {
+    Log.error(`FATAL: Could not restore archives: ${error.message}`);
+    process.exit(1);
+  });
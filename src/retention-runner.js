@@ -0,0 +1,19 @@
+/*
+  -- This script is intended to be run as a child process --
+*/
+const Retention = require("./retention");
+const Log = require("./log");
+
+async function runRetentionTask() {
+  try {
+    Log.info("[Retention Runner] Starting alert retention task.");
+    Retention.pruneAlerts();
+    Log.info("[Retention Runner] Alert retention task completed successfully.");
+    process.exit(0); // Success
+  } catch (error) {
+    Log.error("[Retention Runner] Error during alert retention task:", error);
+    process.exit(1); // Failure
+  }
+}
+
+runRetentionTask();
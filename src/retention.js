@@ -0,0 +1,186 @@
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const Path = require("path");
+const readline = require("readline");
+const zlib = require("zlib");
+const config = require("./config");
+const Log = require("./log");
+const Migrate = require("./migrate");
+
+const DAY_MS = 86400000; // 24h in milliseconds
+const DB_PATH = Path.join(config.HEATMAP_CACHE_DIR_PATH, config.DB_FILENAME);
+const ARCHIVE_DIR_PATH = Path.join(config.HEATMAP_CACHE_DIR_PATH, "archive");
+const RETENTION_DAYS = config.ALERT_RETENTION_DAYS;
+const VACUUM_INTERVAL_MS = config.ALERT_RETENTION_VACUUM_INTERVAL_MS;
+const LAST_VACUUM_METADATA_KEY = "alert_retention_last_vacuum_at";
+
+// Alerts archived and deleted, or restored, per transaction
+const CHUNK_ROWS = 10000;
+
+function openDatabase() {
+  const db = new Database(DB_PATH);
+  db.pragma("journal_mode = WAL");
+  Migrate.assertSchemaUpToDate(db);
+  return db;
+}
+
+// Alerts published before the cutoff are pruned. It trails the live grid's reference timestamp rather than the clock, because
+// incremental grid updates read the alerts leaving the oldest time window and those must still be there.
+function getRetentionCutoff(db) {
+  const liveGeneration = db.prepare(`SELECT reference_timestamp FROM grid_generations WHERE status = 'live'`).get();
+  let referenceTimestamp = liveGeneration ? liveGeneration.reference_timestamp : null;
+  if (referenceTimestamp === null) {
+    // Without a live grid the next grid update is a full rebuild anyway
+    const maxPubMillis = db.prepare(`SELECT MAX(pubMillis) FROM alerts`).pluck().get();
+    referenceTimestamp = Math.min(maxPubMillis ?? Date.now(), Date.now());
+  }
+  return referenceTimestamp - RETENTION_DAYS * DAY_MS;
+}
+
+// Archives hold the alerts of one UTC month, by pubMillis
+function getArchiveFileName(pubMillis) {
+  return `alerts-${new Date(pubMillis).toISOString().slice(0, 7)}.ndjson.gz`;
+}
+
+// Each write appends a complete gzip member, gunzip reads the members of a file back as one stream
+function appendToArchive(filePath, rows) {
+  const member = zlib.gzipSync(rows.map((row) => JSON.stringify(row)).join("\n") + "\n");
+  const fd = fs.openSync(filePath, "a");
+  try {
+    fs.writeSync(fd, member);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Alerts have no INTEGER PRIMARY KEY, so SQLite may renumber their rowids on VACUUM. The bundled SQLite keeps them,
+// but grid generations and incidents refer to alerts by rowid, so this is checked rather than assumed.
+function getRowidFingerprint(db) {
+  return JSON.stringify(db.prepare(`SELECT COUNT(*) AS count, MAX(rowid) AS max_rowid, TOTAL(rowid) AS rowid_sum FROM alerts`).get());
+}
+
+function vacuumIfDue(db) {
+  const lastVacuumAt = parseInt(db.prepare(`SELECT value FROM metadata WHERE key = ?`).pluck().get(LAST_VACUUM_METADATA_KEY) || "0", 10);
+  const freePages = db.pragma("freelist_count", { simple: true });
+  if (Date.now() - lastVacuumAt < VACUUM_INTERVAL_MS || freePages === 0) return;
+
+  Log.info(`Vacuuming the database to release ${freePages} free page(s)...`);
+  const startedAt = Date.now();
+  const fingerprintBefore = getRowidFingerprint(db);
+  db.exec("VACUUM");
+  if (getRowidFingerprint(db) !== fingerprintBefore) {
+    // Forces the next grid update to rebuild from scratch, incident IDs of older alerts can no longer be trusted
+    db.prepare(`UPDATE grid_generations SET max_alert_rowid = NULL WHERE status = 'live'`).run();
+    Log.error("VACUUM renumbered alert rowids. The next grid update will be a full rebuild, incidents of alerts stored so far may be split or merged wrongly.");
+  }
+  db.prepare(`INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)`).run(LAST_VACUUM_METADATA_KEY, Date.now().toString());
+  Log.info(`Vacuumed the database in ${((Date.now() - startedAt) / 1000).toFixed(1)}s.`);
+}
+
+// Moves alerts older than the retention age into the monthly archives, then vacuums the database when it is due
+function pruneAlerts() {
+  if (RETENTION_DAYS === 0) {
+    Log.info("Alert retention is disabled (ALERT_RETENTION_DAYS=0), keeping every alert.");
+    return { archivedCount: 0 };
+  }
+
+  const db = openDatabase();
+  const cutoff = getRetentionCutoff(db);
+  const rowids = db.prepare(`SELECT rowid FROM alerts WHERE pubMillis < ? ORDER BY rowid`).pluck().all(cutoff);
+  Log.info(`Found ${rowids.length} alert(s) published before ${new Date(cutoff).toISOString()} (${RETENTION_DAYS} days retention).`);
+
+  // Rows keep every column, plus the uuid of their incident's first report since rowids do not survive a restore
+  const selectRowsStmt = db.prepare(`SELECT alerts.rowid, alerts.*, incidents.uuid AS incident_uuid FROM alerts LEFT JOIN alerts AS incidents ON incidents.rowid = alerts.incident_id WHERE alerts.rowid IN (SELECT value FROM json_each(?)) ORDER BY alerts.rowid`);
+  const deleteRowsStmt = db.prepare(`DELETE FROM alerts WHERE rowid IN (SELECT value FROM json_each(?))`);
+  const archiveFileNames = new Set();
+  if (rowids.length > 0) fs.mkdirSync(ARCHIVE_DIR_PATH, { recursive: true });
+
+  // Rows are synced to their archive before they are deleted. A run interrupted in between archives them again next time,
+  // restoring skips the duplicates.
+  const archiveChunk = db.transaction((chunkRowidsJson) => {
+    const rowsByFileName = new Map();
+    for (const row of selectRowsStmt.all(chunkRowidsJson)) {
+      const fileName = getArchiveFileName(row.pubMillis);
+      if (!rowsByFileName.has(fileName)) rowsByFileName.set(fileName, []);
+      rowsByFileName.get(fileName).push(row);
+    }
+    for (const [fileName, rows] of rowsByFileName) {
+      appendToArchive(Path.join(ARCHIVE_DIR_PATH, fileName), rows);
+      archiveFileNames.add(fileName);
+    }
+    deleteRowsStmt.run(chunkRowidsJson);
+  });
+  for (let start = 0; start < rowids.length; start += CHUNK_ROWS) {
+    archiveChunk.immediate(JSON.stringify(rowids.slice(start, start + CHUNK_ROWS)));
+  }
+  if (rowids.length > 0) {
+    Log.info(`Archived and deleted ${rowids.length} alert(s) into ${[...archiveFileNames].sort().join(", ")} in ${ARCHIVE_DIR_PATH}.`);
+  }
+
+  vacuumIfDue(db);
+  db.close();
+  return { archivedCount: rowids.length };
+}
+
+// Re-imports archived alerts under new rowids, so the next grid update picks them up like newly stored alerts.
+// Alerts whose uuid is already stored are skipped. An alert joins the incident of its first report when that report is
+// stored, whether it was never pruned or restored before it, otherwise it becomes an incident of its own.
+async function restoreArchiveFile(db, filePath) {
+  const columns = db.prepare(`PRAGMA table_info(alerts)`).all().map((column) => column.name);
+  const insertAlertStmt = db.prepare(`INSERT OR IGNORE INTO alerts (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`);
+  const setOwnIncidentStmt = db.prepare(`UPDATE alerts SET incident_id = rowid WHERE rowid = ?`);
+  const selectIncidentIdStmt = db.prepare(`SELECT incident_id FROM alerts WHERE uuid = ?`).pluck();
+  let restoredCount = 0;
+  let skippedCount = 0;
+
+  const restoreRows = db.transaction((rows) => {
+    for (const row of rows) {
+      const incidentId = (row.incident_uuid && selectIncidentIdStmt.get(row.incident_uuid)) ?? null;
+      const { changes, lastInsertRowid } = insertAlertStmt.run(columns.map((column) => (column === "incident_id" ? incidentId : row[column] ?? null)));
+      if (changes === 0) {
+        skippedCount++;
+        continue;
+      }
+      if (incidentId === null) setOwnIncidentStmt.run(lastInsertRowid);
+      restoredCount++;
+    }
+  });
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+  let rows = [];
+  for await (const line of lines) {
+    if (line.trim().length === 0) continue;
+    rows.push(JSON.parse(line));
+    if (rows.length === CHUNK_ROWS) {
+      restoreRows.immediate(rows);
+      rows = [];
+    }
+  }
+  restoreRows.immediate(rows);
+  return { restoredCount, skippedCount };
+}
+
+async function restoreArchives(filePaths) {
+  const db = openDatabase();
+  let restoredTotal = 0;
+  try {
+    for (const filePath of filePaths) {
+      const { restoredCount, skippedCount } = await restoreArchiveFile(db, filePath);
+      restoredTotal += restoredCount;
+      Log.info(`Restored ${restoredCount} alert(s) from ${filePath}, skipped ${skippedCount} already stored.`);
+    }
+    if (RETENTION_DAYS > 0) {
+      const cutoff = getRetentionCutoff(db);
+      const expiredCount = db.prepare(`SELECT COUNT(*) FROM alerts WHERE pubMillis < ?`).pluck().get(cutoff);
+      if (expiredCount > 0) {
+        Log.warn(`${expiredCount} alert(s) are older than the ${RETENTION_DAYS} days retention and will be archived again by the next retention run. Raise ALERT_RETENTION_DAYS to keep them.`);
+      }
+    }
+  } finally {
+    db.close();
+  }
+  return { restoredCount: restoredTotal };
+}
+
+module.exports = { pruneAlerts, restoreArchives };
@@ -1,16 +1,65 @@
 const express = require("express");
 const Database = require("better-sqlite3");
 const Path = require("path");
+const crypto = require("crypto");
 const config = require("./config");
 const Log = require("./log")
+const Mvt = require("./mvt");
+const Metrics = require("./metrics");
+const ApiKeys = require("./api-keys");
+const Geo = require("./geo");
 
 const CACHE_DIR_PATH = config.HEATMAP_CACHE_DIR_PATH;
 const DB_FILENAME = config.DB_FILENAME;
 const API_PORT = config.API_PORT;
+const ADMIN_API_TOKEN = config.ADMIN_API_TOKEN; // Admin routes are only served when set
+const HEALTH_MAX_ALERT_AGE_MS = config.HEALTH_MAX_ALERT_AGE_MS;
+const HEALTH_MAX_GRID_AGE_MS = config.HEALTH_MAX_GRID_AGE_MS;
+const API_KEYS_REQUIRED = config.API_AUTH === "api_key";
+const API_KEY_HEADER = "X-API-Key";
+const API_USAGE_FLUSH_INTERVAL_MS = 10 * 1000;
 const MAX_PRECISION_LEVEL = 5;
-const NUM_DIVERSITY_RADIUS_GROUPS = 4; // Matches DIVERSITY_RADII.length in grid.js
+const MAX_TILE_ZOOM = 22;
+const TILE_CACHE_MAX_AGE_SECONDS = 5 * 60; // Grids are patched after every Waze fetch
+const DEFAULT_ALERT_TYPE = "POLICE";
+const ALERT_TYPE_PATTERN = /^[A-Z_]+$/;
+const GRID_MODES = ["diversity", "density", "profile"];
+const DEFAULT_DIVERSITY_WEIGHTING = "count"; // Distinct time windows, the other weightings are listed in metadata.grid_diversity_weightings
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"]; // Index is the weekday ID used by the profile grids
+const HOURS_PER_WEEK = 7 * 24;
+const DEFAULT_ALERTS_PAGE_SIZE = 100;
+const MAX_ALERTS_PAGE_SIZE = 1000;
+const ALERT_FORMATS = ["json", "geojson"];
+const LIVE_ALERTS_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_HOTSPOTS_LIMIT = 20;
+const MAX_HOTSPOTS_LIMIT = 100;
+// ORDER BY clause per sort option, ties keep the largest hotspots first
+const HOTSPOT_SORTS = {
+  alert_count: "alert_count DESC, hotspot_id ASC",
+  last_seen: "last_seen DESC, hotspot_id ASC",
+  first_seen: "first_seen ASC, hotspot_id ASC",
+};
+
+// Monitored regions and their centers, served with the metadata from startup on
+const REGIONS = config.WAZE_REGIONS.map((region) => {
+  const center = region.polygon ? Geo.getPolygonCentroid(region.polygon) : { lon: (region.left + region.right) / 2, lat: (region.bottom + region.top) / 2 };
+  return {
+    name: region.name,
+    center_longitude: center.lon,
+    center_latitude: center.lat,
+    bbox: { top: region.top, bottom: region.bottom, left: region.left, right: region.right },
+    polygon: region.polygon,
+  };
+});
+
+// Resolved inside each grid query so a generation swap can never be observed halfway
+const LIVE_GENERATION_SQL = `(SELECT CAST(value AS INTEGER) FROM metadata WHERE key = 'live_grid_generation_id')`;
 
 let db;
+let usageDb; // Writable, only opened when API keys are required
+
+// Clients connected to /api/alerts/stream, each with the bbox and type it subscribed to
+const liveAlertSubscribers = new Set();
 
 function getScaledIntCoordinate(coord, precision) {
   const multiplier = Math.pow(10, precision);
@@ -23,7 +72,360 @@ function getFloatCoordinateFromScaled(scaledCoord, precision) {
   return scaledCoord / divisor;
 }
 
-function startServer() {
+// Bounds of a scaled cell. Scaling truncates towards zero, so negative cells extend downwards and cell 0 spans both sides
+function getCellBoundsFromScaled(scaledCoord, precision) {
+  const low = scaledCoord > 0 ? scaledCoord : scaledCoord - 1;
+  const high = scaledCoord < 0 ? scaledCoord : scaledCoord + 1;
+  return [getFloatCoordinateFromScaled(low, precision), getFloatCoordinateFromScaled(high, precision)];
+}
+
+// Picks the grid level whose cells are closest to one 16th of a tile (~16px at 256px tiles)
+function getLevelForZoom(zoom) {
+  const cellsPerDegree = (Math.pow(2, zoom) * 16) / 360;
+  return Math.min(MAX_PRECISION_LEVEL, Math.max(0, Math.round(Math.log10(cellsPerDegree))));
+}
+
+// Returns the upper-cased alert type, or null if the parameter is malformed
+function parseAlertType(type) {
+  if (type === undefined) return DEFAULT_ALERT_TYPE;
+  if (typeof type !== "string") return null;
+  const normalized = type.toUpperCase();
+  return ALERT_TYPE_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Alert pages are ordered newest first, the cursor encodes the (pubMillis, uuid) of the last row returned
+function encodeAlertCursor(row) {
+  return Buffer.from(JSON.stringify([row.pubMillis, row.uuid]), "utf8").toString("base64url");
+}
+
+// Returns { pubMillis, uuid }, or null if the cursor is malformed
+function decodeAlertCursor(cursor) {
+  try {
+    const [pubMillis, uuid] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isInteger(pubMillis) || typeof uuid !== "string") return null;
+    return { pubMillis, uuid };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseOptionalNumber(value, parse) {
+  if (value === undefined) return null;
+  const parsed = parse(value);
+  return isNaN(parsed) ? NaN : parsed;
+}
+
+// Returns { bbox } with [minLon, minLat, maxLon, maxLat] or null when omitted, or { error } if only partly given or malformed
+function parseOptionalBbox(query) {
+  const bbox = [query.min_lon, query.min_lat, query.max_lon, query.max_lat].map((value) => parseOptionalNumber(value, parseFloat));
+  const bboxGiven = bbox.filter((value) => value !== null).length;
+  if ((bboxGiven !== 0 && bboxGiven !== 4) || bbox.some((value) => Number.isNaN(value))) {
+    return { error: "Invalid bbox. Provide all of min_lon, min_lat, max_lon and max_lat as numbers." };
+  }
+  return { bbox: bboxGiven === 4 ? bbox : null };
+}
+
+function formatAlertRow({ latitude, longitude, ...properties }) {
+  return { ...properties, lon: longitude, lat: latitude };
+}
+
+// Both sides are hashed first, so the comparison takes the same time whatever the token's length
+function isAdminToken(token) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_API_TOKEN));
+}
+
+function formatTaskStatus(task) {
+  return {
+    name: task.name,
+    interval_ms: task.intervalMs,
+    running: task.running,
+    queued: task.queued,
+    run_id: task.runId,
+    full_rebuild_supported: task.fullRebuildSupported,
+    last_attempted_start: task.lastAttemptedStart,
+    last_completion: task.lastCompletion,
+    last_exit_code: task.lastExitCode,
+  };
+}
+
+function formatHotspotRow(row) {
+  return {
+    id: row.hotspot_id,
+    type: row.alert_type,
+    lon: row.centroid_longitude,
+    lat: row.centroid_latitude,
+    bbox: [row.min_longitude, row.min_latitude, row.max_longitude, row.max_latitude],
+    alert_count: row.alert_count,
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+    dominant_hour: row.dominant_hour,
+    dominant_hour_share: row.dominant_hour_share,
+  };
+}
+
+function isAlertInSubscription(subscriber, row) {
+  if (row.type !== subscriber.alertType) return false;
+  if (subscriber.bbox === null) return true;
+  const [minLon, minLat, maxLon, maxLat] = subscriber.bbox;
+  return row.longitude >= minLon && row.longitude <= maxLon && row.latitude >= minLat && row.latitude <= maxLat;
+}
+
+// Called by the parent process with the uuids a Waze runner just stored, pushes each alert to the subscribers it matches
+function publishNewAlerts(uuids) {
+  if (!db || liveAlertSubscribers.size === 0) return;
+  try {
+    const rows = db
+      .prepare(
+        `
+        SELECT uuid, type, subtype, pubMillis, last_seen, last_seen - pubMillis AS duration_ms, incident_id, latitude, longitude, confidence, reliability, street, city, reportRating, nThumbsUp
+        FROM alerts
+        WHERE uuid IN (SELECT value FROM json_each(?))
+          AND latitude IS NOT NULL AND longitude IS NOT NULL
+        ORDER BY pubMillis ASC
+      `
+      )
+      .all(JSON.stringify(uuids));
+    for (const subscriber of liveAlertSubscribers) {
+      for (const row of rows) {
+        if (isAlertInSubscription(subscriber, row)) {
+          subscriber.res.write(`event: alert\nid: ${row.uuid}\ndata: ${JSON.stringify(formatAlertRow(row))}\n\n`);
+        }
+      }
+    }
+  } catch (error) {
+    Log.error(`Error publishing new alerts to live subscribers:`, error);
+  }
+}
+
+// A JSON value stored in metadata by the live grid, or null before the first grid update
+function getMetadataValue(key) {
+  const row = db.prepare(`SELECT value FROM metadata WHERE key = ?`).get(key);
+  if (!row) return null;
+  try {
+    return JSON.parse(row.value);
+  } catch (error) {
+    Log.warn(`Metadata ${key} is not valid JSON: ${error.message}`);
+    return null;
+  }
+}
+
+// Where a grid layer is read from: the live generation with its definitions in metadata (generationId null),
+// or a named snapshot with the definitions it was built with. Returns null for an unknown snapshot.
+function getGridSource(snapshotName) {
+  if (snapshotName === undefined) {
+    return { snapshotName: null, generationId: null, getDefinition: getMetadataValue };
+  }
+  const row = db.prepare(`SELECT generation_id, definitions FROM grid_generations WHERE status = 'snapshot' AND snapshot_name = ?`).get(String(snapshotName));
+  if (!row) return null;
+  const definitions = JSON.parse(row.definitions);
+  return { snapshotName: String(snapshotName), generationId: row.generation_id, getDefinition: (key) => definitions[key] ?? null };
+}
+
+// Returns { level, scaledBounds } for the level and bbox of a cell query, or null if malformed
+function parseCellQuery({ level, min_lon, min_lat, max_lon, max_lat }) {
+  const queryLevel = parseInt(level, 10);
+  const queryMinLon = parseFloat(min_lon);
+  const queryMinLat = parseFloat(min_lat);
+  const queryMaxLon = parseFloat(max_lon);
+  const queryMaxLat = parseFloat(max_lat);
+
+  if (isNaN(queryLevel) || queryLevel < 0 || queryLevel > MAX_PRECISION_LEVEL || isNaN(queryMinLon) || isNaN(queryMinLat) || isNaN(queryMaxLon) || isNaN(queryMaxLat)) {
+    return null;
+  }
+  return {
+    level: queryLevel,
+    scaledBounds: {
+      lonScaledMin: getScaledIntCoordinate(queryMinLon, queryLevel),
+      latScaledMin: getScaledIntCoordinate(queryMinLat, queryLevel),
+      lonScaledMax: getScaledIntCoordinate(queryMaxLon, queryLevel),
+      latScaledMax: getScaledIntCoordinate(queryMaxLat, queryLevel),
+    },
+  };
+}
+
+// Quotas of the request's API key for a cell query, they apply to the bbox queries while tiles are bounded by their zoom.
+// Returns { maxCells } with null when API keys are not required, or { error } if the bbox is too large.
+function getCellQueryQuota(res, { level, scaledBounds }) {
+  const limits = res.locals.apiLimits;
+  if (!limits) return { maxCells: null };
+  const cellsPerDegree = Math.pow(10, level);
+  const bboxArea = ((scaledBounds.lonScaledMax - scaledBounds.lonScaledMin) / cellsPerDegree) * ((scaledBounds.latScaledMax - scaledBounds.latScaledMin) / cellsPerDegree);
+  const maxBboxArea = limits.maxBboxAreaByLevel[level];
+  if (bboxArea > maxBboxArea) {
+    return { error: `Quota exceeded: the bbox covers ${Number(bboxArea.toPrecision(3))} square degrees, the limit at level ${level} is ${maxBboxArea}. Query a smaller bbox or a lower level.`, quota: { level, max_bbox_area: maxBboxArea } };
+  }
+  return { maxCells: limits.maxCellsByLevel[level] };
+}
+
+function getResultSizeError(level, maxCells) {
+  return { error: `Quota exceeded: the result has more than ${maxCells} cells, the limit at level ${level}. Query a smaller bbox or a lower level.`, quota: { level, max_cells: maxCells } };
+}
+
+// Hours of the week (weekday * 24 + hour, local to the grid's time zone) covered by the profile parameters, or null if malformed.
+// weekdays is a comma-separated list such as "fri,sat", hours run from from_hour up to but excluding to_hour, and continue into
+// the next day when to_hour is not after from_hour, so weekdays=fri&from_hour=22&to_hour=2 is Friday 22:00 to Saturday 02:00.
+function parseProfileHours({ weekdays, from_hour, to_hour }) {
+  const weekdayIds = weekdays === undefined ? WEEKDAYS.map((_, id) => id) : String(weekdays).toLowerCase().split(",").map((weekday) => WEEKDAYS.indexOf(weekday.trim()));
+  const fromHour = from_hour === undefined ? 0 : Number(from_hour);
+  const toHour = to_hour === undefined ? 24 : Number(to_hour);
+  if (weekdayIds.some((id) => id === -1) || !Number.isInteger(fromHour) || !Number.isInteger(toHour) || fromHour < 0 || fromHour > 23 || toHour < 0 || toHour > 24) {
+    return null;
+  }
+
+  const hourCount = toHour > fromHour ? toHour - fromHour : toHour + 24 - fromHour;
+  const hoursOfWeek = new Set();
+  for (const weekdayId of weekdayIds) {
+    for (let i = 0; i < hourCount; i++) {
+      hoursOfWeek.add((weekdayId * 24 + fromHour + i) % HOURS_PER_WEEK);
+    }
+  }
+  return [...hoursOfWeek];
+}
+
+// Validates the grid layer selection shared by the JSON and tile endpoints
+// Returns { status, error } on failure, otherwise { snapshotName, generationId, mode, alertType, radiusGroupId, weighting, timeWindowId, hoursOfWeek }
+function parseGridLayer(query, defaultRadiusGroupId) {
+  const { mode = "diversity", type, radius_group_id, weighting = DEFAULT_DIVERSITY_WEIGHTING, time_window_id, snapshot } = query;
+
+  if (!GRID_MODES.includes(mode)) {
+    return { status: 400, error: `Invalid mode. Must be one of: ${GRID_MODES.join(", ")}.` };
+  }
+  const alertType = parseAlertType(type);
+  if (alertType === null) {
+    return { status: 400, error: "Invalid type. Must be a Waze alert type such as POLICE or ACCIDENT." };
+  }
+  const source = getGridSource(snapshot);
+  if (source === null) {
+    return { status: 404, error: "Unknown snapshot. See /api/snapshots for the available snapshots." };
+  }
+  const { snapshotName, generationId } = source;
+  const getDefinitionList = (key) => {
+    const list = source.getDefinition(key);
+    return Array.isArray(list) ? list : null;
+  };
+
+  if (mode === "profile") {
+    if (source.getDefinition("grid_timezone") === null) {
+      return { status: 404, error: "Grid not available yet. Please try again later." };
+    }
+    const hoursOfWeek = parseProfileHours(query);
+    if (hoursOfWeek === null) {
+      return { status: 400, error: `Invalid profile. weekdays must be a comma-separated list of ${WEEKDAYS.join(", ")}, from_hour between 0 and 23 and to_hour between 0 and 24.` };
+    }
+    return { snapshotName, generationId, mode, alertType, radiusGroupId: null, weighting: null, timeWindowId: null, hoursOfWeek };
+  }
+
+  if (mode === "density") {
+    // Density is per time window, omitting time_window_id sums every window
+    const timeWindows = getDefinitionList("grid_time_windows");
+    const timeWindowCount = timeWindows === null ? null : timeWindows.length;
+    if (timeWindowCount === null) {
+      return { status: 404, error: "Grid not available yet. Please try again later." };
+    }
+    const timeWindowId = time_window_id === undefined ? null : parseInt(time_window_id, 10);
+    if (timeWindowId !== null && (isNaN(timeWindowId) || timeWindowId < 0 || timeWindowId >= timeWindowCount)) {
+      return { status: 400, error: `Invalid time_window_id. Must be between 0 and ${timeWindowCount - 1}.` };
+    }
+    return { snapshotName, generationId, mode, alertType, radiusGroupId: null, weighting: null, timeWindowId, hoursOfWeek: null };
+  }
+
+  const radii = getDefinitionList("grid_diversity_radii");
+  const radiusGroupCount = radii === null ? null : radii.length;
+  if (radiusGroupCount === null) {
+    return { status: 404, error: "Grid not available yet. Please try again later." };
+  }
+  const radiusGroupId = radius_group_id === undefined ? defaultRadiusGroupId : parseInt(radius_group_id, 10);
+  if (radiusGroupId === undefined || isNaN(radiusGroupId) || radiusGroupId < 0 || radiusGroupId >= radiusGroupCount) {
+    return { status: 400, error: `Invalid radius_group_id. Must be between 0 and ${radiusGroupCount - 1}.` };
+  }
+  // Grids built before weighted scores only have the plain count
+  const weightings = getDefinitionList("grid_diversity_weightings") || [DEFAULT_DIVERSITY_WEIGHTING];
+  if (!weightings.includes(weighting)) {
+    return { status: 400, error: `Invalid weighting. Must be one of: ${weightings.join(", ")}.` };
+  }
+  return { snapshotName, generationId, mode, alertType, radiusGroupId, weighting, timeWindowId: null, hoursOfWeek: null };
+}
+
+// Cells of a grid layer within a scaled bbox, as { lon_scaled, lat_scaled, score }, at most limit of them when given
+function queryGridCells(layer, level, scaledBounds, limit = null) {
+  const generationSql = layer.generationId === null ? LIVE_GENERATION_SQL : "@generation_id";
+  const params = { alert_type: layer.alertType, level, ...scaledBounds, ...(layer.generationId === null ? {} : { generation_id: layer.generationId }), limit: limit ?? -1 };
+
+  if (layer.mode === "profile") {
+    return db
+      .prepare(
+        `
+        SELECT lon_scaled, lat_scaled, SUM(density) AS score
+        FROM profile_grids
+        WHERE generation_id = ${generationSql}
+          AND alert_type = @alert_type
+          AND hour_of_week IN (SELECT value FROM json_each(@hours_of_week))
+          AND level = @level
+          AND lon_scaled >= @lonScaledMin AND lon_scaled <= @lonScaledMax
+          AND lat_scaled >= @latScaledMin AND lat_scaled <= @latScaledMax
+        GROUP BY lon_scaled, lat_scaled
+        LIMIT @limit
+      `
+      )
+      .all({ ...params, hours_of_week: JSON.stringify(layer.hoursOfWeek) });
+  }
+
+  if (layer.mode === "density") {
+    return db
+      .prepare(
+        `
+        SELECT lon_scaled, lat_scaled, SUM(density) AS score
+        FROM density_grids
+        WHERE generation_id = ${generationSql}
+          AND alert_type = @alert_type
+          AND (@time_window_id IS NULL OR time_window_id = @time_window_id)
+          AND level = @level
+          AND lon_scaled >= @lonScaledMin AND lon_scaled <= @lonScaledMax
+          AND lat_scaled >= @latScaledMin AND lat_scaled <= @latScaledMax
+        GROUP BY lon_scaled, lat_scaled
+        LIMIT @limit
+      `
+      )
+      .all({ ...params, time_window_id: layer.timeWindowId });
+  }
+
+  return db
+    .prepare(
+      `
+      SELECT lon_scaled, lat_scaled, diversity_score AS score
+      FROM temporal_diversity_grids
+      WHERE generation_id = ${generationSql}
+        AND alert_type = @alert_type
+        AND weighting = @weighting
+        AND radius_group_id = @radius_group_id
+        AND level = @level
+        AND lon_scaled >= @lonScaledMin AND lon_scaled <= @lonScaledMax
+        AND lat_scaled >= @latScaledMin AND lat_scaled <= @latScaledMax
+        AND diversity_score > 0
+      LIMIT @limit
+    `
+    )
+    .all({ ...params, weighting: layer.weighting, radius_group_id: layer.radiusGroupId });
+}
+
+// Age of the newest alert sighting and of the live grid's last update, null when there is none yet
+function getDataAges() {
+  const now = Date.now();
+  const lastSeen = db.prepare(`SELECT MAX(last_seen) FROM alerts`).pluck().get();
+  const gridUpdatedAt = db.prepare(`SELECT updated_at FROM grid_generations WHERE status = 'live'`).pluck().get();
+  return {
+    alerts: lastSeen == null ? null : now - lastSeen,
+    grid: gridUpdatedAt == null ? null : now - gridUpdatedAt,
+  };
+}
+
+function getFreshnessCheck(ageMs, maxAgeMs) {
+  return { ok: ageMs !== null && ageMs <= maxAgeMs, age_ms: ageMs, max_age_ms: maxAgeMs };
+}
+
+// scheduler is the task control of index.js, the admin task routes answer 503 without it
+function startServer(scheduler = null) {
   const dbPath = Path.join(CACHE_DIR_PATH, DB_FILENAME);
   try {
     db = new Database(dbPath, { readonly: true, fileMustExist: true });
@@ -32,58 +434,342 @@ function startServer() {
     process.exit(1);
   }
 
+  let usageRecorder = null;
+  if (API_KEYS_REQUIRED) {
+    // No busy timeout, a flush that finds a runner writing is retried with the next one instead of blocking requests
+    usageDb = new Database(dbPath, { fileMustExist: true, timeout: 0 });
+    usageRecorder = ApiKeys.createUsageRecorder(usageDb);
+    setInterval(() => {
+      try {
+        usageRecorder.flush();
+      } catch (error) {
+        Log.warn(`Could not record API usage, retrying with the next flush: ${error.message}`);
+      }
+    }, API_USAGE_FLUSH_INTERVAL_MS);
+  }
+  const rateLimiter = ApiKeys.createRateLimiter();
+
   const app = express();
   app.use(express.json());
 
+  // Latency by route pattern rather than path, so tile and admin URLs don't each get their own series. Alert streams stay
+  // open for as long as the client listens and are left out.
+  app.use((req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      if ((res.get("Content-Type") || "").startsWith("text/event-stream")) return;
+      const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+      Metrics.observe("http_request_duration_seconds", { method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+  });
+
   const handleTemporalDiversityRequest = (req, res) => {
-    const { radius_group_id, level, min_lon, min_lat, max_lon, max_lat } = req.query;
+    const cellQuery = parseCellQuery(req.query);
+    if (cellQuery === null) {
+      return res.status(400).json({ error: "Invalid query parameters for temporal diversity" });
+    }
 
-    const queryRadiusGroupId = parseInt(radius_group_id, 10);
-    const queryLevel = parseInt(level, 10);
-    const queryMinLon = parseFloat(min_lon);
-    const queryMinLat = parseFloat(min_lat);
-    const queryMaxLon = parseFloat(max_lon);
-    const queryMaxLat = parseFloat(max_lat);
+    try {
+      const layer = parseGridLayer(req.query);
+      if (layer.error) {
+        return res.status(layer.status).json({ error: layer.error });
+      }
 
-    if (isNaN(queryRadiusGroupId) || queryRadiusGroupId < 0 || queryRadiusGroupId >= NUM_DIVERSITY_RADIUS_GROUPS) {
-      return res.status(400).json({ error: `Invalid radius_group_id. Must be between 0 and ${NUM_DIVERSITY_RADIUS_GROUPS - 1}.` });
+      const quota = getCellQueryQuota(res, cellQuery);
+      if (quota.error) {
+        return res.status(429).json(quota);
+      }
+      // One row past the quota tells whether the result was cut off
+      const results = queryGridCells(layer, cellQuery.level, cellQuery.scaledBounds, quota.maxCells === null ? null : quota.maxCells + 1);
+      if (quota.maxCells !== null && results.length > quota.maxCells) {
+        return res.status(429).json(getResultSizeError(cellQuery.level, quota.maxCells));
+      }
+      res.locals.cellCount = results.length;
+      const formattedResults = results.map((row) => ({
+        lon: getFloatCoordinateFromScaled(row.lon_scaled, cellQuery.level),
+        lat: getFloatCoordinateFromScaled(row.lat_scaled, cellQuery.level),
+        score: row.score,
+      }));
+      res.json(formattedResults);
+    } catch (error) {
+      Log.error(`Error retrieving temporal diversity data:`, error);
+      res.status(500).json({ error: `Failed to retrieve temporal diversity data` });
     }
-    if (isNaN(queryLevel) || queryLevel < 0 || queryLevel > MAX_PRECISION_LEVEL || isNaN(queryMinLon) || isNaN(queryMinLat) || isNaN(queryMaxLon) || isNaN(queryMaxLat)) {
-      return res.status(400).json({ error: "Invalid query parameters for temporal diversity" });
+  };
+
+  // Cells of a grid layer that appeared, disappeared or changed score from one snapshot to another, or to the live grid when to is omitted
+  const handleGridDiffRequest = (req, res) => {
+    const { from, to } = req.query;
+    const cellQuery = parseCellQuery(req.query);
+    if (cellQuery === null) {
+      return res.status(400).json({ error: "Invalid query parameters for grid diff" });
+    }
+    if (from === undefined) {
+      return res.status(400).json({ error: "Missing from. Must be the name of a snapshot." });
+    }
+
+    try {
+      // Both sides are validated against their own definitions, so the layer must exist in each
+      const fromLayer = parseGridLayer({ ...req.query, snapshot: from });
+      if (fromLayer.error) {
+        return res.status(fromLayer.status).json({ error: `from: ${fromLayer.error}` });
+      }
+      const toLayer = parseGridLayer({ ...req.query, snapshot: to });
+      if (toLayer.error) {
+        return res.status(toLayer.status).json({ error: `to: ${toLayer.error}` });
+      }
+
+      const quota = getCellQueryQuota(res, cellQuery);
+      if (quota.error) {
+        return res.status(429).json(quota);
+      }
+      const limit = quota.maxCells === null ? null : quota.maxCells + 1;
+      const fromRows = queryGridCells(fromLayer, cellQuery.level, cellQuery.scaledBounds, limit);
+      const toRows = queryGridCells(toLayer, cellQuery.level, cellQuery.scaledBounds, limit);
+      if (quota.maxCells !== null && (fromRows.length > quota.maxCells || toRows.length > quota.maxCells)) {
+        return res.status(429).json(getResultSizeError(cellQuery.level, quota.maxCells));
+      }
+      res.locals.cellCount = fromRows.length + toRows.length;
+
+      const formatCell = (row) => ({ lon: getFloatCoordinateFromScaled(row.lon_scaled, cellQuery.level), lat: getFloatCoordinateFromScaled(row.lat_scaled, cellQuery.level) });
+      const fromScores = new Map(fromRows.map((row) => [`${row.lon_scaled}_${row.lat_scaled}`, row]));
+      const appeared = [];
+      const changed = [];
+      for (const row of toRows) {
+        const cellKey = `${row.lon_scaled}_${row.lat_scaled}`;
+        const fromRow = fromScores.get(cellKey);
+        fromScores.delete(cellKey);
+        if (!fromRow) {
+          appeared.push({ ...formatCell(row), score: row.score });
+        } else if (fromRow.score !== row.score) {
+          changed.push({ ...formatCell(row), from_score: fromRow.score, to_score: row.score, delta: row.score - fromRow.score });
+        }
+      }
+      const disappeared = [...fromScores.values()].map((row) => ({ ...formatCell(row), score: row.score }));
+
+      res.json({ from: fromLayer.snapshotName, to: toLayer.snapshotName, appeared, disappeared, changed });
+    } catch (error) {
+      Log.error(`Error computing grid diff:`, error);
+      res.status(500).json({ error: `Failed to compute grid diff` });
     }
+  };
 
-    const lonScaledMin = getScaledIntCoordinate(queryMinLon, queryLevel);
-    const latScaledMin = getScaledIntCoordinate(queryMinLat, queryLevel);
-    const lonScaledMax = getScaledIntCoordinate(queryMaxLon, queryLevel);
-    const latScaledMax = getScaledIntCoordinate(queryMaxLat, queryLevel);
+  const handleSnapshotsRequest = (req, res) => {
+    try {
+      const rows = db.prepare(`SELECT snapshot_name, reference_timestamp, completed_at FROM grid_generations WHERE status = 'snapshot' ORDER BY reference_timestamp DESC, snapshot_name ASC`).all();
+      res.json({ snapshots: rows.map((row) => ({ name: row.snapshot_name, reference_timestamp: row.reference_timestamp, completed_at: row.completed_at })) });
+    } catch (error) {
+      Log.error(`Error retrieving snapshots:`, error);
+      res.status(500).json({ error: `Failed to retrieve snapshots` });
+    }
+  };
+
+  const handleDiversityTileRequest = (req, res) => {
+    const { z, x, y } = req.params;
+
+    const tileZ = parseInt(z, 10);
+    const tileX = parseInt(x, 10);
+    const tileY = parseInt(y, 10);
+
+    if (isNaN(tileZ) || tileZ < 0 || tileZ > MAX_TILE_ZOOM || isNaN(tileX) || isNaN(tileY) || tileX < 0 || tileY < 0 || tileX >= Math.pow(2, tileZ) || tileY >= Math.pow(2, tileZ)) {
+      return res.status(400).json({ error: "Invalid tile coordinates" });
+    }
+
+    const level = getLevelForZoom(tileZ);
+    const bounds = Mvt.getTileBounds(tileZ, tileX, tileY);
+
+    try {
+      const layer = parseGridLayer(req.query, 0);
+      if (layer.error) {
+        return res.status(layer.status).json({ error: layer.error });
+      }
+
+      // Widen the range by one cell so cells straddling the tile edge are included
+      const results = queryGridCells(layer, level, {
+        lonScaledMin: getScaledIntCoordinate(bounds.minLon, level) - 1,
+        latScaledMin: getScaledIntCoordinate(bounds.minLat, level) - 1,
+        lonScaledMax: getScaledIntCoordinate(bounds.maxLon, level) + 1,
+        latScaledMax: getScaledIntCoordinate(bounds.maxLat, level) + 1,
+      });
+
+      res.locals.cellCount = results.length;
+      const features = [];
+      for (const row of results) {
+        const [west, east] = getCellBoundsFromScaled(row.lon_scaled, level);
+        const [south, north] = getCellBoundsFromScaled(row.lat_scaled, level);
+        const [left, top] = Mvt.projectToTile(west, north, tileZ, tileX, tileY);
+        const [right, bottom] = Mvt.projectToTile(east, south, tileZ, tileX, tileY);
+        if (left === right || top === bottom) continue; // Cell collapses below tile resolution
+        features.push({
+          type: Mvt.GEOM_TYPE.POLYGON,
+          geometry: [
+            [
+              [left, top],
+              [right, top],
+              [right, bottom],
+              [left, bottom],
+            ],
+          ],
+          properties: { score: row.score, snapshot: layer.snapshotName, mode: layer.mode, radius_group_id: layer.radiusGroupId, weighting: layer.weighting, time_window_id: layer.timeWindowId, level, type: layer.alertType },
+        });
+      }
+
+      const tile = Mvt.encodeTile([{ name: layer.mode, features }]);
+      res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+      res.set("Cache-Control", `public, max-age=${TILE_CACHE_MAX_AGE_SECONDS}`);
+      res.send(tile);
+    } catch (error) {
+      Log.error(`Error generating diversity tile ${tileZ}/${tileX}/${tileY}:`, error);
+      res.status(500).json({ error: `Failed to generate diversity tile` });
+    }
+  };
+
+  const handleAlertsRequest = (req, res) => {
+    const { since, until, min_confidence, min_reliability, type, cursor, limit, format = "json" } = req.query;
+
+    const { bbox, error: bboxError } = parseOptionalBbox(req.query);
+    const querySince = parseOptionalNumber(since, (value) => parseInt(value, 10));
+    const queryUntil = parseOptionalNumber(until, (value) => parseInt(value, 10));
+    const queryMinConfidence = parseOptionalNumber(min_confidence, (value) => parseInt(value, 10));
+    const queryMinReliability = parseOptionalNumber(min_reliability, (value) => parseInt(value, 10));
+    const queryLimit = limit === undefined ? DEFAULT_ALERTS_PAGE_SIZE : parseInt(limit, 10);
+    const queryAlertType = type === undefined ? null : parseAlertType(type);
+    const queryCursor = cursor === undefined ? null : decodeAlertCursor(cursor);
+
+    if (bboxError) {
+      return res.status(400).json({ error: bboxError });
+    }
+    if ([querySince, queryUntil, queryMinConfidence, queryMinReliability].some((value) => Number.isNaN(value))) {
+      return res.status(400).json({ error: "Invalid query parameters for alerts. since, until, min_confidence and min_reliability must be integers." });
+    }
+    if (isNaN(queryLimit) || queryLimit < 1 || queryLimit > MAX_ALERTS_PAGE_SIZE) {
+      return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_ALERTS_PAGE_SIZE}.` });
+    }
+    if (type !== undefined && queryAlertType === null) {
+      return res.status(400).json({ error: "Invalid type. Must be a Waze alert type such as POLICE or ACCIDENT." });
+    }
+    if (cursor !== undefined && queryCursor === null) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    if (!ALERT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${ALERT_FORMATS.join(", ")}.` });
+    }
 
     try {
       const stmt = db.prepare(`
-        SELECT lon_scaled, lat_scaled, diversity_score
-        FROM temporal_diversity_grids
-        WHERE radius_group_id = @radius_group_id
-          AND level = @level
-          AND lon_scaled >= @lonScaledMin AND lon_scaled <= @lonScaledMax
-          AND lat_scaled >= @latScaledMin AND lat_scaled <= @latScaledMax
-          AND diversity_score > 0 
+        SELECT uuid, type, subtype, pubMillis, last_seen, last_seen - pubMillis AS duration_ms, incident_id, latitude, longitude, confidence, reliability, street, city, reportRating, nThumbsUp
+        FROM alerts
+        WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+          AND (@hasBbox = 0 OR (longitude >= @minLon AND longitude <= @maxLon AND latitude >= @minLat AND latitude <= @maxLat))
+          AND (@since IS NULL OR pubMillis >= @since)
+          AND (@until IS NULL OR pubMillis < @until)
+          AND (@minConfidence IS NULL OR confidence >= @minConfidence)
+          AND (@minReliability IS NULL OR reliability >= @minReliability)
+          AND (@type IS NULL OR type = @type)
+          AND (@cursorPubMillis IS NULL OR pubMillis < @cursorPubMillis OR (pubMillis = @cursorPubMillis AND uuid < @cursorUuid))
+        ORDER BY pubMillis DESC, uuid DESC
+        LIMIT @limit
       `);
-      const results = stmt.all({
-        radius_group_id: queryRadiusGroupId,
-        level: queryLevel,
-        lonScaledMin,
-        latScaledMin,
-        lonScaledMax,
-        latScaledMax,
+      // Fetch one extra row to know whether another page follows
+      const rows = stmt.all({
+        hasBbox: bbox ? 1 : 0,
+        minLon: bbox ? bbox[0] : null,
+        minLat: bbox ? bbox[1] : null,
+        maxLon: bbox ? bbox[2] : null,
+        maxLat: bbox ? bbox[3] : null,
+        since: querySince,
+        until: queryUntil,
+        minConfidence: queryMinConfidence,
+        minReliability: queryMinReliability,
+        type: queryAlertType,
+        cursorPubMillis: queryCursor ? queryCursor.pubMillis : null,
+        cursorUuid: queryCursor ? queryCursor.uuid : null,
+        limit: queryLimit + 1,
       });
-      const formattedResults = results.map((row) => ({
-        lon: getFloatCoordinateFromScaled(row.lon_scaled, queryLevel),
-        lat: getFloatCoordinateFromScaled(row.lat_scaled, queryLevel),
-        score: row.diversity_score,
-      }));
-      res.json(formattedResults);
+      const pageRows = rows.slice(0, queryLimit);
+      const nextCursor = rows.length > queryLimit ? encodeAlertCursor(pageRows[pageRows.length - 1]) : null;
+
+      if (format === "geojson") {
+        return res.json({
+          type: "FeatureCollection",
+          features: pageRows.map(({ latitude, longitude, ...properties }) => ({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [longitude, latitude] },
+            properties,
+          })),
+          next_cursor: nextCursor,
+        });
+      }
+      res.json({ alerts: pageRows.map(formatAlertRow), next_cursor: nextCursor });
     } catch (error) {
-      Log.error(`Error retrieving temporal diversity data:`, error);
-      res.status(500).json({ error: `Failed to retrieve temporal diversity data` });
+      Log.error(`Error retrieving alerts:`, error);
+      res.status(500).json({ error: `Failed to retrieve alerts` });
+    }
+  };
+
+  // Hotspots of the live generation whose centroid lies in the optional bbox
+  const handleHotspotsRequest = (req, res) => {
+    const { type, sort = "alert_count", limit, format = "json" } = req.query;
+
+    const { bbox, error: bboxError } = parseOptionalBbox(req.query);
+    const queryAlertType = parseAlertType(type);
+    const queryLimit = limit === undefined ? DEFAULT_HOTSPOTS_LIMIT : parseInt(limit, 10);
+
+    if (bboxError) {
+      return res.status(400).json({ error: bboxError });
+    }
+    if (queryAlertType === null) {
+      return res.status(400).json({ error: "Invalid type. Must be a Waze alert type such as POLICE or ACCIDENT." });
+    }
+    if (!Object.hasOwn(HOTSPOT_SORTS, sort)) {
+      return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(HOTSPOT_SORTS).join(", ")}.` });
+    }
+    if (isNaN(queryLimit) || queryLimit < 1 || queryLimit > MAX_HOTSPOTS_LIMIT) {
+      return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_HOTSPOTS_LIMIT}.` });
+    }
+    if (!ALERT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${ALERT_FORMATS.join(", ")}.` });
+    }
+
+    try {
+      const rows = db
+        .prepare(
+          `
+        SELECT hotspot_id, alert_type, centroid_longitude, centroid_latitude, min_longitude, min_latitude, max_longitude, max_latitude,
+               alert_count, first_seen, last_seen, dominant_hour, dominant_hour_share
+        FROM hotspots
+        WHERE generation_id = ${LIVE_GENERATION_SQL} AND alert_type = @type
+          AND (@hasBbox = 0 OR (centroid_longitude >= @minLon AND centroid_longitude <= @maxLon AND centroid_latitude >= @minLat AND centroid_latitude <= @maxLat))
+        ORDER BY ${HOTSPOT_SORTS[sort]}
+        LIMIT @limit
+      `
+        )
+        .all({
+          type: queryAlertType,
+          hasBbox: bbox ? 1 : 0,
+          minLon: bbox ? bbox[0] : null,
+          minLat: bbox ? bbox[1] : null,
+          maxLon: bbox ? bbox[2] : null,
+          maxLat: bbox ? bbox[3] : null,
+          limit: queryLimit,
+        });
+      const hotspots = rows.map(formatHotspotRow);
+
+      if (format === "geojson") {
+        return res.json({
+          type: "FeatureCollection",
+          features: hotspots.map(({ lon, lat, ...properties }) => ({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [lon, lat] },
+            properties,
+          })),
+        });
+      }
+      res.json({ hotspots });
+    } catch (error) {
+      Log.error(`Error retrieving hotspots:`, error);
+      res.status(500).json({ error: `Failed to retrieve hotspots` });
     }
   };
 
@@ -95,7 +781,7 @@ function startServer() {
         obj[item.key] = item.value;
         return obj;
       }, {});
-      res.json(metadata);
+      res.json({ ...metadata, regions: REGIONS });
     } catch (error) {
       Log.error(`Error retrieving metadata:`, error);
       if (error.message.includes("no such table: metadata")) {
@@ -106,12 +792,233 @@ function startServer() {
     }
   };
 
-  app.get("/api/diversity", handleTemporalDiversityRequest);
-  app.get("/api/metadata", handleMetadataRequest);
+  // Server-Sent Events stream of newly fetched alerts, optionally limited to a bbox
+  const handleAlertStreamRequest = (req, res) => {
+    const { bbox, error: bboxError } = parseOptionalBbox(req.query);
+    const alertType = parseAlertType(req.query.type);
+    if (bboxError) {
+      return res.status(400).json({ error: bboxError });
+    }
+    if (alertType === null) {
+      return res.status(400).json({ error: "Invalid type. Must be a Waze alert type such as POLICE or ACCIDENT." });
+    }
+
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.flushHeaders();
+    res.write(`event: subscribed\ndata: ${JSON.stringify({ type: alertType, bbox })}\n\n`);
+
+    const subscriber = { res, bbox, alertType };
+    liveAlertSubscribers.add(subscriber);
+    req.on("close", () => liveAlertSubscribers.delete(subscriber));
+  };
+
+  const handleSpeedCamerasRequest = (req, res) => {
+    const { min_lon, min_lat, max_lon, max_lat, type } = req.query;
+
+    const queryMinLon = parseFloat(min_lon);
+    const queryMinLat = parseFloat(min_lat);
+    const queryMaxLon = parseFloat(max_lon);
+    const queryMaxLat = parseFloat(max_lat);
+
+    if (isNaN(queryMinLon) || isNaN(queryMinLat) || isNaN(queryMaxLon) || isNaN(queryMaxLat)) {
+      return res.status(400).json({ error: "Invalid query parameters for speed cameras" });
+    }
+    if (type !== undefined && (typeof type !== "string" || type.length === 0)) {
+      return res.status(400).json({ error: "Invalid type. Must be a non-empty string." });
+    }
+
+    try {
+      const stmt = db.prepare(`
+        SELECT id, camera_type, latitude, longitude, speed_limit, description
+        FROM speed_cameras
+        WHERE longitude >= @minLon AND longitude <= @maxLon
+          AND latitude >= @minLat AND latitude <= @maxLat
+          AND (@type IS NULL OR camera_type = @type)
+      `);
+      const results = stmt.all({
+        minLon: queryMinLon,
+        minLat: queryMinLat,
+        maxLon: queryMaxLon,
+        maxLat: queryMaxLat,
+        type: type === undefined ? null : type,
+      });
+      const formattedResults = results.map((row) => ({
+        id: row.id,
+        type: row.camera_type,
+        lon: row.longitude,
+        lat: row.latitude,
+        speed_limit: row.speed_limit,
+        description: row.description,
+      }));
+      res.json(formattedResults);
+    } catch (error) {
+      Log.error(`Error retrieving speed cameras:`, error);
+      if (error.message.includes("no such table: speed_cameras")) {
+        return res.status(404).json({ error: "Speed camera data not available yet. Please try again later." });
+      }
+      res.status(500).json({ error: `Failed to retrieve speed cameras` });
+    }
+  };
+
+  // Prometheus scrape endpoint, data ages are measured when scraped
+  const handleMetricsRequest = (req, res) => {
+    try {
+      for (const [data, ageMs] of Object.entries(getDataAges())) {
+        if (ageMs !== null) Metrics.set("data_age_seconds", { data }, ageMs / 1000);
+      }
+    } catch (error) {
+      Log.error(`Error measuring data ages for metrics:`, error);
+    }
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(Metrics.render());
+  };
+
+  // Health fails when no alert has been seen within HEALTH_MAX_ALERT_AGE_MS. Readiness additionally needs a live grid
+  // updated within HEALTH_MAX_GRID_AGE_MS, so instances are only sent traffic once they can serve grids.
+  const handleHealthRequest = (includeGrid) => (req, res) => {
+    let checks;
+    try {
+      const ages = getDataAges();
+      checks = { alerts: getFreshnessCheck(ages.alerts, HEALTH_MAX_ALERT_AGE_MS) };
+      if (includeGrid) checks.grid = getFreshnessCheck(ages.grid, HEALTH_MAX_GRID_AGE_MS);
+    } catch (error) {
+      Log.error(`Error checking data freshness:`, error);
+      return res.status(503).json({ status: "failing", error: "Failed to check data freshness" });
+    }
+    const ok = Object.values(checks).every((check) => check.ok);
+    res.status(ok ? 200 : 503).json({ status: ok ? "ok" : "failing", checks });
+  };
+
+  // With API_AUTH=api_key the public routes take a key created with "npm run api-keys". Each request counts against the
+  // key's rate limit and is recorded once as its usage when answered or closed, with the cells it returned.
+  const requireApiKey = (req, res, next) => {
+    if (!API_KEYS_REQUIRED) return next();
+    const presentedKey = req.get(API_KEY_HEADER) || req.query.api_key;
+    let apiKey;
+    try {
+      apiKey = typeof presentedKey === "string" ? ApiKeys.findApiKey(db, presentedKey) : null;
+    } catch (error) {
+      Log.error(`Error looking up API key:`, error);
+      return res.status(500).json({ error: "Failed to check the API key" });
+    }
+    if (!apiKey) {
+      return res.status(401).json({ error: `Missing or invalid API key. Send it in the ${API_KEY_HEADER} header or the api_key query parameter.` });
+    }
+
+    const limits = ApiKeys.getLimits(apiKey);
+    const route = req.route.path;
+    // Alert streams usually end with the client disconnecting, which closes the response without finishing it
+    let usageRecorded = false;
+    const recordUsage = () => {
+      if (usageRecorded) return;
+      usageRecorded = true;
+      usageRecorder.record(apiKey.key_id, route, { rejected: res.statusCode === 429, cellCount: res.locals.cellCount || 0 });
+    };
+    res.on("finish", recordUsage);
+    res.on("close", recordUsage);
+
+    const { allowed, remaining, resetAt } = rateLimiter.take(apiKey.key_id, limits.rateLimitPerMinute);
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set({ "X-RateLimit-Limit": limits.rateLimitPerMinute, "X-RateLimit-Remaining": remaining, "X-RateLimit-Reset": resetSeconds });
+    if (!allowed) {
+      res.set("Retry-After", resetSeconds);
+      return res.status(429).json({ error: `Rate limit exceeded: ${limits.rateLimitPerMinute} requests per minute. Retry in ${resetSeconds}s.`, limit_per_minute: limits.rateLimitPerMinute, retry_after_seconds: resetSeconds });
+    }
+    res.locals.apiLimits = limits;
+    next();
+  };
+
+  // Admin routes take the ADMIN_API_TOKEN as a bearer token
+  const requireAdminToken = (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    if (!match || !isAdminToken(match[1])) {
+      res.set("WWW-Authenticate", 'Bearer realm="admin"');
+      return res.status(401).json({ error: "Missing or invalid admin token" });
+    }
+    next();
+  };
+
+  const requireScheduler = (req, res, next) => {
+    if (!scheduler) {
+      return res.status(503).json({ error: "Task control is not available, the server is running without the scheduler." });
+    }
+    next();
+  };
+
+  const handleAdminTasksRequest = (req, res) => {
+    res.json({ tasks: scheduler.listTasks().map(formatTaskStatus) });
+  };
+
+  // Runs a task now, or once it finishes if it is already running. Grid updates accept { "full_rebuild": true }.
+  const handleAdminTaskRunRequest = (req, res) => {
+    const { full_rebuild = false } = req.body || {};
+    const task = scheduler.listTasks().find((candidate) => candidate.name === req.params.name);
+    if (!task) {
+      return res.status(404).json({ error: "Unknown task. See /api/admin/tasks for the available tasks." });
+    }
+    if (typeof full_rebuild !== "boolean" || (full_rebuild && !task.fullRebuildSupported)) {
+      return res.status(400).json({ error: "Invalid full_rebuild. Must be a boolean, and is only supported by the grid update task." });
+    }
+
+    const status = scheduler.runTask(task.name, { fullRebuild: full_rebuild });
+    res.status(202).json({ task: task.name, status });
+  };
+
+  // Requests per API key and route over the last hours (24 by default), to find the clients causing the most load
+  const handleAdminUsageRequest = (req, res) => {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours <= 0) {
+      return res.status(400).json({ error: "Invalid hours. Must be a positive integer." });
+    }
+    try {
+      const since = Date.now() - hours * 3600 * 1000;
+      res.json({ since, usage: ApiKeys.getUsage(db, since) });
+    } catch (error) {
+      Log.error(`Error retrieving API usage:`, error);
+      res.status(500).json({ error: `Failed to retrieve API usage` });
+    }
+  };
+
+  const handleAdminTaskCancelRequest = (req, res) => {
+    const task = scheduler.listTasks().find((candidate) => candidate.name === req.params.name);
+    if (!task) {
+      return res.status(404).json({ error: "Unknown task. See /api/admin/tasks for the available tasks." });
+    }
+    if (!scheduler.cancelTask(task.name)) {
+      return res.status(409).json({ error: "Task is not running." });
+    }
+    res.status(202).json({ task: task.name, status: "cancelling" });
+  };
+
+  app.get("/api/diversity", requireApiKey, handleTemporalDiversityRequest);
+  app.get("/api/diversity/diff", requireApiKey, handleGridDiffRequest);
+  app.get("/api/snapshots", requireApiKey, handleSnapshotsRequest);
+  app.get("/api/tiles/:z/:x/:y.pbf", requireApiKey, handleDiversityTileRequest);
+  app.get("/api/alerts", requireApiKey, handleAlertsRequest);
+  app.get("/api/alerts/stream", requireApiKey, handleAlertStreamRequest);
+  app.get("/api/hotspots", requireApiKey, handleHotspotsRequest);
+  app.get("/api/metadata", requireApiKey, handleMetadataRequest);
+  app.get("/api/speed-cameras", requireApiKey, handleSpeedCamerasRequest);
+  app.get("/metrics", handleMetricsRequest);
+  app.get("/healthz", handleHealthRequest(false));
+  app.get("/readyz", handleHealthRequest(true));
+  if (ADMIN_API_TOKEN) {
+    app.get("/api/admin/tasks", requireAdminToken, requireScheduler, handleAdminTasksRequest);
+    app.post("/api/admin/tasks/:name/run", requireAdminToken, requireScheduler, handleAdminTaskRunRequest);
+    app.post("/api/admin/tasks/:name/cancel", requireAdminToken, requireScheduler, handleAdminTaskCancelRequest);
+    app.get("/api/admin/usage", requireAdminToken, handleAdminUsageRequest);
+  } else {
+    Log.info("Admin API is disabled, set ADMIN_API_TOKEN to enable it.");
+  }
+
+  // Comment lines keep idle streams from being closed by proxies
+  setInterval(() => {
+    for (const subscriber of liveAlertSubscribers) subscriber.res.write(": heartbeat\n\n");
+  }, LIVE_ALERTS_HEARTBEAT_INTERVAL_MS);
 
   app.listen(API_PORT, () => {
     Log.info(`API Server listening on port ${API_PORT}`);
   });
 }
 
-module.exports = { startServer };
+module.exports = { startServer, publishNewAlerts };
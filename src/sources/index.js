@@ -0,0 +1,17 @@
+const { createWazeGeorssSource } = require("./waze-georss");
+
+// Alert source providers. A provider is { name, fetchArea({ top, bottom, left, right }) } where fetchArea
+// resolves to georss-shaped data ({ alerts: [...] }) or null when the area could not be fetched
+const SOURCE_FACTORIES = {
+  "waze-georss": createWazeGeorssSource,
+};
+
+function createSource(name, options) {
+  const factory = SOURCE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown alert source "${name}". Available sources: ${Object.keys(SOURCE_FACTORIES).join(", ")}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createSource, SOURCE_NAMES: Object.keys(SOURCE_FACTORIES) };
@@ -0,0 +1,82 @@
+const Log = require("../log");
+const Metrics = require("../metrics");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// High-fidelity browser headers, the live map rejects requests that look automated
+const BROWSER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
+  Accept: "application/json, text/plain, */*",
+  "Accept-Language": "en-US,en;q=0.9",
+  Referer: "https://www.waze.com/live-map/",
+  "Sec-Fetch-Dest": "empty",
+  "Sec-Fetch-Mode": "cors",
+  "Sec-Fetch-Site": "same-origin",
+  "sec-ch-ua": '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
+  "sec-ch-ua-mobile": "?0",
+  "sec-ch-ua-platform": '"Windows"',
+};
+
+// Source provider for the Waze live map georss endpoint (or anything serving the same format, e.g. mock-waze-server.js)
+function createWazeGeorssSource({ baseUrl, retryDelaysMs }) {
+  const metricLabels = { source: "waze-georss" };
+
+  async function fetchArea(area) {
+    const { top, bottom, left, right } = area;
+    let attempts = 0;
+
+    const url = `${baseUrl}?top=${top}&bottom=${bottom}&left=${left}&right=${right}&env=row&types=alerts`;
+
+    while (attempts <= retryDelaysMs.length) {
+      try {
+        const response = await fetch(url, {
+          method: "GET",
+          headers: BROWSER_HEADERS,
+          // undici specific: signal to keep the connection alive
+          dispatcher: undefined,
+        });
+        if (response.ok) {
+          // Counted once the body parses, so a response that is not JSON is only counted as invalid_body
+          let data;
+          try {
+            data = await response.json();
+          } catch (error) {
+            Metrics.increment("waze_requests_total", { ...metricLabels, status: "invalid_body" });
+            Log.error(`API Request Failed: Invalid response body for area T:${top},B:${bottom}: ${error.message}`);
+            return null;
+          }
+          Metrics.increment("waze_requests_total", { ...metricLabels, status: response.status });
+          return data;
+        }
+        Metrics.increment("waze_requests_total", { ...metricLabels, status: response.status });
+
+        if (response.status === 403) {
+          if (attempts < retryDelaysMs.length) {
+            const delay = retryDelaysMs[attempts];
+            Log.warn(`Waze API 403 Forbidden. Retrying in ${delay / 1000}s... (Attempt ${attempts + 1}/${retryDelaysMs.length})`);
+            Metrics.increment("waze_request_retries_total", metricLabels);
+            await sleep(delay);
+            attempts++;
+            continue;
+          } else {
+            Log.error(`API Request Failed: Max retries reached (403 Forbidden) for area T:${top},B:${bottom}.`);
+            return null;
+          }
+        }
+
+        // Handle other HTTP errors (404, 500, etc)
+        Log.error(`API Request Failed: Status ${response.status}`);
+        return null;
+      } catch (error) {
+        Metrics.increment("waze_requests_total", { ...metricLabels, status: "network_error" });
+        Log.error(`Network Error: ${error.message}. Skipping chunk.`);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  return { name: "waze-georss", fetchArea };
+}
+
+module.exports = { createWazeGeorssSource };
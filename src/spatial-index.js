@@ -0,0 +1,101 @@
+// Packed integer grid hash over scaled cell coordinates, for circular radius queries around a cell
+// Cells are bucketed into squares of bucketSize cells, a query only scans the buckets overlapping the circle's bounding square
+
+// Level-5 longitudes span +-18,000,000 cells, so offset bucket coordinates stay below 2^26 and a packed key below 2^52
+const BUCKET_COORDINATE_OFFSET = 2 ** 25;
+const BUCKET_KEY_STRIDE = 2 ** 26;
+
+function getBucketKey(bucketLon, bucketLat) {
+  return (bucketLon + BUCKET_COORDINATE_OFFSET) * BUCKET_KEY_STRIDE + (bucketLat + BUCKET_COORDINATE_OFFSET);
+}
+
+// A bucket size close to the query radius keeps every query to at most 3x3 buckets
+function createCellIndex(bucketSize) {
+  const buckets = new Map();
+  let size = 0;
+
+  function add(lonScaled, latScaled, value) {
+    const key = getBucketKey(Math.floor(lonScaled / bucketSize), Math.floor(latScaled / bucketSize));
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { lons: [], lats: [], values: [] };
+      buckets.set(key, bucket);
+    }
+    bucket.lons.push(lonScaled);
+    bucket.lats.push(latScaled);
+    bucket.values.push(value);
+    size++;
+  }
+
+  // Calls visit(value, lonScaled, latScaled) for every cell whose distance to the given cell is at most radiusInCells,
+  // stopping as soon as visit returns true. Returns whether the search was stopped early.
+  function forEachWithinRadius(lonScaled, latScaled, radiusInCells, visit) {
+    const radiusSquared = radiusInCells * radiusInCells;
+    const minBucketLon = Math.floor((lonScaled - radiusInCells) / bucketSize);
+    const maxBucketLon = Math.floor((lonScaled + radiusInCells) / bucketSize);
+    const minBucketLat = Math.floor((latScaled - radiusInCells) / bucketSize);
+    const maxBucketLat = Math.floor((latScaled + radiusInCells) / bucketSize);
+
+    for (let bucketLon = minBucketLon; bucketLon <= maxBucketLon; bucketLon++) {
+      for (let bucketLat = minBucketLat; bucketLat <= maxBucketLat; bucketLat++) {
+        const bucket = buckets.get(getBucketKey(bucketLon, bucketLat));
+        if (!bucket) continue;
+        const { lons, lats, values } = bucket;
+        for (let i = 0; i < lons.length; i++) {
+          const dx = lons[i] - lonScaled;
+          const dy = lats[i] - latScaled;
+          if (dx * dx + dy * dy <= radiusSquared && visit(values[i], lons[i], lats[i])) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  function hasWithinRadius(lonScaled, latScaled, radiusInCells) {
+    return forEachWithinRadius(lonScaled, latScaled, radiusInCells, () => true);
+  }
+
+  return {
+    add,
+    forEachWithinRadius,
+    hasWithinRadius,
+    get size() {
+      return size;
+    },
+  };
+}
+
+// Number of distinct small integer values (0 <= value < valueCount) within the radius, as used for diversity scores
+function countDistinctWithinRadius(cellIndex, lonScaled, latScaled, radiusInCells, valueCount) {
+  const seenValues = new Uint8Array(valueCount);
+  let distinctCount = 0;
+  cellIndex.forEachWithinRadius(lonScaled, latScaled, radiusInCells, (value) => {
+    if (seenValues[value] === 0) {
+      seenValues[value] = 1;
+      distinctCount++;
+    }
+    return distinctCount === valueCount; // Every value is present, the count cannot grow any further
+  });
+  return distinctCount;
+}
+
+// Weighted variant of countDistinctWithinRadius for an index whose values are cell positions: every distinct value
+// (valueOfCell[position], 0 <= value < valueCount) within the radius adds the largest weight any of its cells has.
+// Returns one sum per array of weightsOfCell, all computed in the same scan.
+function sumMaxWeightPerValueWithinRadius(cellIndex, lonScaled, latScaled, radiusInCells, valueOfCell, weightsOfCell, valueCount) {
+  const maxWeights = new Float64Array(valueCount * weightsOfCell.length);
+  cellIndex.forEachWithinRadius(lonScaled, latScaled, radiusInCells, (position) => {
+    const value = valueOfCell[position];
+    for (let k = 0; k < weightsOfCell.length; k++) {
+      const slot = k * valueCount + value;
+      if (weightsOfCell[k][position] > maxWeights[slot]) maxWeights[slot] = weightsOfCell[k][position];
+    }
+  });
+  return weightsOfCell.map((_, k) => {
+    let sum = 0;
+    for (let value = 0; value < valueCount; value++) sum += maxWeights[k * valueCount + value];
+    return sum;
+  });
+}
+
+module.exports = { createCellIndex, countDistinctWithinRadius, sumMaxWeightPerValueWithinRadius };
@@ -0,0 +1,19 @@
+/*
+  -- This script is intended to be run as a child process --
+*/
+const SpeedCameras = require("./speed-cameras");
+const Log = require("./log");
+
+async function runSpeedCamerasTask() {
+  try {
+    Log.info("[Speed Cameras Runner] Starting speed camera import task.");
+    await SpeedCameras.importSpeedCameras();
+    Log.info("[Speed Cameras Runner] Speed camera import task completed successfully.");
+    process.exit(0); // Success
+  } catch (error) {
+    Log.error("[Speed Cameras Runner] Error during speed camera import task:", error);
+    process.exit(1); // Failure
+  }
+}
+
+runSpeedCamerasTask();
@@ -1 +1,210 @@
-module.exports = {};
\ No newline at end of file
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const Path = require("path");
+const config = require("./config");
+const Log = require("./log");
+const Migrate = require("./migrate");
+
+// Configuration
+const SOURCE_DIR_PATH = config.SPEED_CAMERAS_SOURCE_DIR_PATH;
+const CACHE_DIR_PATH = config.HEATMAP_CACHE_DIR_PATH;
+const DB_FILENAME = config.DB_FILENAME;
+
+const SUPPORTED_EXTENSIONS = [".geojson", ".json", ".csv"];
+const CAMERA_TYPES = ["fixed", "mobile", "red_light", "point_to_point"];
+const DEFAULT_CAMERA_TYPE = "fixed";
+
+// Database
+const dbPath = Path.join(CACHE_DIR_PATH, DB_FILENAME);
+const db = new Database(dbPath);
+db.pragma("journal_mode = WAL");
+Migrate.assertSchemaUpToDate(db);
+
+const deleteSourceStmt = db.prepare(`DELETE FROM speed_cameras WHERE source = ?`);
+const insertCameraStmt = db.prepare(`INSERT OR REPLACE INTO speed_cameras (id, source, camera_type, latitude, longitude, speed_limit, description, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+
+// Replaces every camera previously imported from a source file with its current contents
+const replaceSourceCameras = db.transaction((source, cameras, updatedAt) => {
+  deleteSourceStmt.run(source);
+  for (const camera of cameras) {
+    insertCameraStmt.run(camera.id, source, camera.cameraType, camera.latitude, camera.longitude, camera.speedLimit, camera.description, updatedAt);
+  }
+});
+
+// Helpers
+function normalizeCameraType(value) {
+  if (typeof value !== "string" || value.length === 0) return DEFAULT_CAMERA_TYPE;
+  const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return CAMERA_TYPES.includes(normalized) ? normalized : DEFAULT_CAMERA_TYPE;
+}
+
+function parseOptionalInteger(value) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function pickField(record, names) {
+  for (const name of names) {
+    if (record[name] !== undefined && record[name] !== null && record[name] !== "") return record[name];
+  }
+  return undefined;
+}
+
+function toCamera(record, latitude, longitude, fallbackId, source) {
+  if (typeof latitude !== "number" || typeof longitude !== "number" || isNaN(latitude) || isNaN(longitude)) return null;
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+
+  const recordId = pickField(record, ["id", "camera_id", "site_id"]);
+  const description = pickField(record, ["description", "name", "location", "road"]);
+
+  return {
+    id: `${source}:${recordId !== undefined ? recordId : fallbackId}`,
+    cameraType: normalizeCameraType(pickField(record, ["camera_type", "type"])),
+    latitude,
+    longitude,
+    speedLimit: parseOptionalInteger(pickField(record, ["speed_limit", "speedLimit", "maxspeed"])),
+    description: description !== undefined ? String(description) : null,
+  };
+}
+
+function parseGeoJson(text, source) {
+  const data = JSON.parse(text);
+  const features = data.type === "FeatureCollection" ? data.features : [data];
+  if (!Array.isArray(features)) throw new Error("expected a GeoJSON FeatureCollection or Feature");
+
+  const cameras = [];
+  features.forEach((feature, index) => {
+    if (!feature || !feature.geometry || feature.geometry.type !== "Point" || !Array.isArray(feature.geometry.coordinates)) return;
+    const [longitude, latitude] = feature.geometry.coordinates;
+    const camera = toCamera(feature.properties || {}, latitude, longitude, index, source);
+    if (camera) cameras.push(camera);
+  });
+  return cameras;
+}
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF line endings)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim().length > 0));
+}
+
+function parseCsv(text, source) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  const cameras = [];
+  rows.slice(1).forEach((values, index) => {
+    const record = {};
+    header.forEach((name, column) => {
+      record[name] = values[column] !== undefined ? values[column].trim() : undefined;
+    });
+    const latitude = parseFloat(pickField(record, ["latitude", "lat", "y"]));
+    const longitude = parseFloat(pickField(record, ["longitude", "lon", "lng", "x"]));
+    const camera = toCamera(record, latitude, longitude, index, source);
+    if (camera) cameras.push(camera);
+  });
+  return cameras;
+}
+
+// Ids repeated within a file would silently replace each other in the table, only the last camera with an id is kept
+function dropRepeatedIds(cameras, fileName) {
+  const camerasById = new Map();
+  const repeatedIds = new Set();
+  for (const camera of cameras) {
+    if (camerasById.has(camera.id)) repeatedIds.add(camera.id);
+    camerasById.set(camera.id, camera);
+  }
+  if (repeatedIds.size > 0) {
+    const examples = [...repeatedIds].slice(0, 5).join(", ");
+    Log.warn(`${fileName} repeats ${repeatedIds.size} camera id(s), only the last camera with each is kept: ${examples}${repeatedIds.size > 5 ? ", ..." : ""}`);
+  }
+  return [...camerasById.values()];
+}
+
+function parseCameraFile(filePath, source) {
+  const text = fs.readFileSync(filePath, "utf8");
+  return Path.extname(filePath).toLowerCase() === ".csv" ? parseCsv(text, source) : parseGeoJson(text, source);
+}
+
+async function importSpeedCameras() {
+  if (!fs.existsSync(SOURCE_DIR_PATH)) {
+    Log.warn(`Speed camera source directory ${SOURCE_DIR_PATH} does not exist. Nothing to import.`);
+    return;
+  }
+
+  const fileNames = fs
+    .readdirSync(SOURCE_DIR_PATH)
+    .filter((name) => SUPPORTED_EXTENSIONS.includes(Path.extname(name).toLowerCase()))
+    .sort();
+
+  if (fileNames.length === 0) {
+    Log.info(`No speed camera files (${SUPPORTED_EXTENSIONS.join(", ")}) found in ${SOURCE_DIR_PATH}.`);
+  }
+
+  const updatedAt = Date.now();
+  let filesImported = 0;
+  let camerasImported = 0;
+
+  // Sources are keyed by the full file name, so cameras.csv and cameras.geojson never replace each other's cameras
+  for (const fileName of fileNames) {
+    const source = fileName;
+    try {
+      const cameras = dropRepeatedIds(parseCameraFile(Path.join(SOURCE_DIR_PATH, fileName), source), fileName);
+      replaceSourceCameras(source, cameras, updatedAt);
+      filesImported++;
+      camerasImported += cameras.length;
+      Log.info(`Imported ${cameras.length} speed cameras from ${fileName}`);
+    } catch (error) {
+      // Leave the previously imported cameras for this source untouched
+      Log.error(`Failed to import speed cameras from ${fileName}: ${error.message}`);
+    }
+  }
+
+  // Drop cameras whose source file has been removed from the directory
+  const storedSources = db.prepare(`SELECT DISTINCT source FROM speed_cameras`).all().map((row) => row.source);
+  for (const source of storedSources) {
+    if (!fileNames.includes(source)) {
+      const { changes } = deleteSourceStmt.run(source);
+      Log.info(`Removed ${changes} speed cameras from missing source ${source}`);
+    }
+  }
+
+  Log.info(`Speed camera import completed. Files imported: ${filesImported}/${fileNames.length}, Cameras imported: ${camerasImported}`);
+}
+
+module.exports = { importSpeedCameras };
@@ -3,17 +3,33 @@
 */
 const Waze = require("./waze");
 const Log = require("./log");
+const Metrics = require("./metrics");
+
+// The parent passes the name of the region to fetch as the first argument
+const regionName = process.argv[2];
+
+// Reports newly stored alerts to the parent so it can push them to live subscribers (no-op when run standalone)
+function reportNewAlerts(uuids) {
+  if (!process.send) return Promise.resolve();
+  return new Promise((resolve) => process.send({ type: "new_alerts", region: regionName, uuids }, () => resolve()));
+}
 
 async function runWazeTask() {
   try {
-    Log.info("[Waze Runner] Starting Waze alerts fetch task.");
-    await Waze.fetchWazeAlerts();
+    Log.info(`[Waze Runner] Starting Waze alerts fetch task for region ${regionName}.`);
+    await Waze.fetchWazeAlerts(regionName, reportNewAlerts);
     Log.info("[Waze Runner] Waze alerts fetch task completed successfully.");
+    await Metrics.flush();
     process.exit(0); // Success
   } catch (error) {
     Log.error("[Waze Runner] Error during Waze alerts fetch task:", error);
+    await Metrics.flush();
     process.exit(1); // Failure
   }
 }
 
+// Metrics are sent to the parent, which serves them on /metrics
+Metrics.forwardToParentProcess();
+// A run cancelled over the admin API delivers its metrics first, then stops by the same signal so the parent still sees it as cancelled
+process.once("SIGTERM", () => Metrics.flush().then(() => process.kill(process.pid, "SIGTERM")));
 runWazeTask();
@@ -2,23 +2,27 @@ const Database = require("better-sqlite3");
 const Path = require("path");
 const config = require("./config");
 const Log = require("./log");
+const Migrate = require("./migrate");
+const Sources = require("./sources");
+const Geo = require("./geo");
+const Metrics = require("./metrics");
 
 // Configuration
-const MAX_ALERTS = config.WAZE_MAX_ALERTS;
-const AREA_TOP = config.WAZE_AREA_TOP;
-const AREA_BOTTOM = config.WAZE_AREA_BOTTOM;
-const AREA_LEFT = config.WAZE_AREA_LEFT;
-const AREA_RIGHT = config.WAZE_AREA_RIGHT;
+const REGIONS = config.WAZE_REGIONS;
 const QUERY_DELAY_MS = config.WAZE_QUERY_DELAY_MS;
 const CACHE_DIR_PATH = config.HEATMAP_CACHE_DIR_PATH;
 const DB_FILENAME = config.DB_FILENAME;
+const ALERT_SOURCE = config.ALERT_SOURCE;
+const BASE_URL = config.WAZE_BASE_URL;
+const RETRY_DELAYS_MS = config.WAZE_RETRY_DELAYS_MS;
+const INCIDENT_MERGE_RADIUS = config.INCIDENT_MERGE_RADIUS;
+const INCIDENT_MERGE_WINDOW_MS = config.INCIDENT_MERGE_WINDOW_MS;
 
 // Database
 const dbPath = Path.join(CACHE_DIR_PATH, DB_FILENAME);
 const db = new Database(dbPath);
 db.pragma("journal_mode = WAL");
-db.exec(`CREATE TABLE IF NOT EXISTS alerts (uuid TEXT PRIMARY KEY, pubMillis INTEGER, latitude REAL, longitude REAL, confidence INTEGER, reliability INTEGER)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_alerts_pubMillis ON alerts (pubMillis)`);
+Migrate.assertSchemaUpToDate(db);
 
 // Helpers
 function Area(top, bottom, left, right) {
@@ -30,109 +34,214 @@ function Area(top, bottom, left, right) {
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-async function getData(top, bottom, left, right) {
-  const retryDelays = [5000, 10000, 30000];
-  let attempts = 0;
-
-  const url = `https://www.waze.com/live-map/api/georss?top=${top}&bottom=${bottom}&left=${left}&right=${right}&env=row&types=alerts`;
-
-  while (attempts <= retryDelays.length) {
-    try {
-      const response = await fetch(url, {
-        method: "GET",
-        // High-fidelity browser headers
-        headers: {
-          "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
-          Accept: "application/json, text/plain, */*",
-          "Accept-Language": "en-US,en;q=0.9",
-          Referer: "https://www.waze.com/live-map/",
-          "Sec-Fetch-Dest": "empty",
-          "Sec-Fetch-Mode": "cors",
-          "Sec-Fetch-Site": "same-origin",
-          "sec-ch-ua": '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
-          "sec-ch-ua-mobile": "?0",
-          "sec-ch-ua-platform": '"Windows"',
-        },
-        // undici specific: signal to keep the connection alive
-        dispatcher: undefined,
-      });
-
-      if (response.ok) {
-        return await response.json();
-      }
-
-      if (response.status === 403) {
-        if (attempts < retryDelays.length) {
-          const delay = retryDelays[attempts];
-          Log.warn(`Waze API 403 Forbidden. Retrying in ${delay / 1000}s... (Attempt ${attempts + 1}/${retryDelays.length})`);
-          await sleep(delay);
-          attempts++;
-          continue;
-        } else {
-          Log.error(`API Request Failed: Max retries reached (403 Forbidden) for area T:${top},B:${bottom}.`);
-          return null;
-        }
-      }
-
-      // Handle other HTTP errors (404, 500, etc)
-      Log.error(`API Request Failed: Status ${response.status}`);
-      return null;
-    } catch (error) {
-      Log.error(`Network Error: ${error.message}. Skipping chunk.`);
-      return null;
-    }
-  }
-  return null;
-}
-
 function splitData(top, bottom, left, right) {
   const midVertical = left + (right - left) / 2;
   const midHorizontal = bottom + (top - bottom) / 2;
   return [new Area(top, midHorizontal, left, midVertical), new Area(top, midHorizontal, midVertical, right), new Area(midHorizontal, bottom, left, midVertical), new Area(midHorizontal, bottom, midVertical, right)];
 }
 
-const insertAlertStmt = db.prepare(`INSERT OR IGNORE INTO alerts (uuid, pubMillis, latitude, longitude, confidence, reliability) VALUES (?, ?, ?, ?, ?, ?)`);
+const insertAlertStmt = db.prepare(`INSERT INTO alerts (uuid, pubMillis, latitude, longitude, confidence, reliability, type, subtype, street, city, reportRating, nThumbsUp, region, last_seen, incident_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+const updateLastSeenStmt = db.prepare(`UPDATE alerts SET last_seen = MAX(last_seen, ?) WHERE uuid = ?`);
+const setOwnIncidentStmt = db.prepare(`UPDATE alerts SET incident_id = rowid WHERE rowid = ?`);
+const selectIncidentCandidatesStmt = db.prepare(`
+  SELECT incident_id, longitude, latitude FROM alerts
+  WHERE type = ? AND longitude >= ? AND longitude <= ? AND latitude >= ? AND latitude <= ? AND last_seen >= ? AND pubMillis <= ?
+  ORDER BY last_seen DESC
+`);
 
-function usePoliceData(data) {
-  if (!data || !data.alerts || !Array.isArray(data.alerts)) return;
-  let policeCount = 0;
+// Incident of a stored alert of the same type within INCIDENT_MERGE_RADIUS whose lifetime overlaps the new report's
+// (from pubMillis to lastSeen), or comes within INCIDENT_MERGE_WINDOW_MS of it. Null if the report starts a new incident.
+function findIncidentId(alert, lastSeen) {
+  const { x: lon, y: lat } = alert.location;
+  const candidates = selectIncidentCandidatesStmt.all(alert.type, lon - INCIDENT_MERGE_RADIUS, lon + INCIDENT_MERGE_RADIUS, lat - INCIDENT_MERGE_RADIUS, lat + INCIDENT_MERGE_RADIUS, alert.pubMillis - INCIDENT_MERGE_WINDOW_MS, lastSeen + INCIDENT_MERGE_WINDOW_MS);
+  const match = candidates.find((candidate) => (candidate.longitude - lon) ** 2 + (candidate.latitude - lat) ** 2 <= INCIDENT_MERGE_RADIUS ** 2);
+  return match ? match.incident_id : null;
+}
+
+// Alerts already stored only have their last_seen moved to seenAt, new ones are merged into an incident when they repeat a live one.
+// Returns the uuids of the alerts that were not stored before
+function useAlertData(data, region, seenAt) {
+  if (!data || !data.alerts || !Array.isArray(data.alerts)) return [];
+  const typeCounts = {};
+  const newUuids = [];
+  let mergedCount = 0;
   for (const alert of data.alerts) {
-    if (alert.type === "POLICE") {
-      insertAlertStmt.run(alert.uuid, alert.pubMillis, alert.location.y, alert.location.x, alert.confidence, alert.reliability);
-      policeCount++;
+    if (!alert.uuid || !alert.type || !alert.location) continue;
+    if (region.polygon && !Geo.pointInPolygon(alert.location.x, alert.location.y, region.polygon)) continue;
+    typeCounts[alert.type] = (typeCounts[alert.type] || 0) + 1;
+    if (updateLastSeenStmt.run(seenAt, alert.uuid).changes > 0) continue;
+
+    const lastSeen = Math.max(seenAt, alert.pubMillis);
+    const incidentId = findIncidentId(alert, lastSeen);
+    const { lastInsertRowid } = insertAlertStmt.run(alert.uuid, alert.pubMillis, alert.location.y, alert.location.x, alert.confidence ?? null, alert.reliability ?? null, alert.type, alert.subtype || null, alert.street ?? null, alert.city ?? null, alert.reportRating ?? null, alert.nThumbsUp ?? null, region.name, lastSeen, incidentId);
+    if (incidentId === null) {
+      setOwnIncidentStmt.run(lastInsertRowid);
+    } else {
+      mergedCount++;
+    }
+    newUuids.push(alert.uuid);
+  }
+  const summary = Object.entries(typeCounts)
+    .map(([type, count]) => `${count} ${type}`)
+    .join(", ");
+  if (summary.length > 0) {
+    Log.info(`Stored alerts for region ${region.name}: ${summary} (${newUuids.length} new${mergedCount > 0 ? `, ${mergedCount} repeating a known incident` : ""})`);
+  }
+  return newUuids;
+}
+
+// --- Crawl State ---
+// Every area of the current crawl is stored as pending, done or failed so an interrupted crawl can resume,
+// and the leaves of a completed crawl seed the next one instead of re-splitting from the root
+const CRAWL_AREA_STATUS = { PENDING: "pending", DONE: "done", FAILED: "failed", SKIPPED: "skipped" };
+
+const selectCrawlAreasStmt = db.prepare(`SELECT path, status, alert_count FROM crawl_areas WHERE root_key = ?`);
+const selectCrawlLeavesStmt = db.prepare(`SELECT path, alert_count FROM crawl_leaves WHERE root_key = ?`);
+const insertCrawlAreaStmt = db.prepare(`INSERT OR REPLACE INTO crawl_areas (root_key, path, status, alert_count) VALUES (?, ?, ?, ?)`);
+const deleteCrawlAreaStmt = db.prepare(`DELETE FROM crawl_areas WHERE root_key = ? AND path = ?`);
+
+// Keyed by region and bounding box, so changing a region's bounds starts its tiling afresh
+function getCrawlRootKey(region) {
+  return `${region.name}:${region.top},${region.bottom},${region.left},${region.right}`;
+}
+
+function getAreaForPath(root, path) {
+  let area = root;
+  for (const quadrant of path) {
+    area = splitData(area.top, area.bottom, area.left, area.right)[Number(quadrant)];
+  }
+  return area;
+}
+
+// Merges groups of four sibling leaves back into their parent while the parent would stay well below the region's maxAlerts
+function coarsenLeaves(leaves, maxAlerts) {
+  const leafCounts = new Map(leaves.map((leaf) => [leaf.path, leaf.alert_count]));
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const parents = new Set([...leafCounts.keys()].filter((path) => path.length > 0).map((path) => path.slice(0, -1)));
+    for (const parent of parents) {
+      const childPaths = [0, 1, 2, 3].map((quadrant) => `${parent}${quadrant}`);
+      if (!childPaths.every((path) => leafCounts.has(path) && leafCounts.get(path) !== null)) continue;
+      const total = childPaths.reduce((sum, path) => sum + leafCounts.get(path), 0);
+      if (total >= maxAlerts / 2) continue;
+      childPaths.forEach((path) => leafCounts.delete(path));
+      leafCounts.set(parent, total);
+      merged = true;
     }
   }
-  if (policeCount > 0) {
-    Log.info(`Stored ${policeCount} police alerts`);
+  return [...leafCounts].map(([path, alert_count]) => ({ path, alert_count }));
+}
+
+// Returns the pending area paths of the crawl, starting a new crawl if none is in progress
+const startOrResumeCrawl = db.transaction((region, rootKey) => {
+  // State of the region's previous bounds can never be resumed
+  const staleKeyPattern = `${region.name}:*`;
+  db.prepare(`DELETE FROM crawl_areas WHERE root_key GLOB ? AND root_key != ?`).run(staleKeyPattern, rootKey);
+  db.prepare(`DELETE FROM crawl_leaves WHERE root_key GLOB ? AND root_key != ?`).run(staleKeyPattern, rootKey);
+
+  const crawlAreas = selectCrawlAreasStmt.all(rootKey);
+  const pendingPaths = crawlAreas.filter((area) => area.status === CRAWL_AREA_STATUS.PENDING).map((area) => area.path);
+  if (pendingPaths.length > 0) {
+    Log.info(`Resuming interrupted crawl of region ${region.name}: ${pendingPaths.length} areas pending, ${crawlAreas.length - pendingPaths.length} already completed.`);
+    return pendingPaths;
+  }
+
+  db.prepare(`DELETE FROM crawl_areas WHERE root_key = ?`).run(rootKey);
+  const previousLeaves = selectCrawlLeavesStmt.all(rootKey);
+  const startPaths = previousLeaves.length > 0 ? previousLeaves.map((leaf) => leaf.path) : [""];
+  for (const path of startPaths) {
+    insertCrawlAreaStmt.run(rootKey, path, CRAWL_AREA_STATUS.PENDING, null);
+  }
+  Log.info(previousLeaves.length > 0 ? `Starting crawl from ${startPaths.length} leaf areas of the previous crawl.` : "Starting crawl from the root area.");
+  return startPaths;
+});
+
+const storeAreaAlerts = db.transaction((region, rootKey, path, data, seenAt) => {
+  const newUuids = useAlertData(data, region, seenAt);
+  insertCrawlAreaStmt.run(rootKey, path, CRAWL_AREA_STATUS.DONE, data.alerts.length);
+  return newUuids;
+});
+
+const splitCrawlArea = db.transaction((rootKey, path) => {
+  deleteCrawlAreaStmt.run(rootKey, path);
+  for (const quadrant of [0, 1, 2, 3]) {
+    insertCrawlAreaStmt.run(rootKey, `${path}${quadrant}`, CRAWL_AREA_STATUS.PENDING, null);
+  }
+});
+
+// Replaces the stored leaf tiling with the areas of the finished crawl
+const completeCrawl = db.transaction((rootKey, maxAlerts) => {
+  const leaves = coarsenLeaves(selectCrawlAreasStmt.all(rootKey), maxAlerts);
+  db.prepare(`DELETE FROM crawl_leaves WHERE root_key = ?`).run(rootKey);
+  const insertLeafStmt = db.prepare(`INSERT INTO crawl_leaves (root_key, path, alert_count) VALUES (?, ?, ?)`);
+  for (const leaf of leaves) {
+    insertLeafStmt.run(rootKey, leaf.path, leaf.alert_count);
+  }
+  db.prepare(`DELETE FROM crawl_areas WHERE root_key = ?`).run(rootKey);
+  return leaves.length;
+});
+
+function getRegion(regionName) {
+  if (regionName === undefined && REGIONS.length === 1) return REGIONS[0];
+  const region = REGIONS.find((candidate) => candidate.name === regionName);
+  if (!region) {
+    throw new Error(`Unknown region "${regionName}". Configured regions: ${REGIONS.map((candidate) => candidate.name).join(", ")}`);
   }
+  return region;
 }
 
-async function fetchWazeAlerts() {
-  Log.info(`Starting Waze alerts fetch for area: T:${AREA_TOP}, B:${AREA_BOTTOM}, L:${AREA_LEFT}, R:${AREA_RIGHT}`);
-  const queue = [];
-  queue.push(new Area(AREA_TOP, AREA_BOTTOM, AREA_LEFT, AREA_RIGHT));
+// onNewAlerts is awaited with the uuids of newly stored alerts once each area's transaction has committed
+async function fetchWazeAlerts(regionName, onNewAlerts = async () => {}, source = Sources.createSource(ALERT_SOURCE, { baseUrl: BASE_URL, retryDelaysMs: RETRY_DELAYS_MS })) {
+  const region = getRegion(regionName);
+  const maxAlerts = region.maxAlerts;
+  Log.info(`Starting Waze alerts fetch from ${source.name} for region ${region.name}: T:${region.top}, B:${region.bottom}, L:${region.left}, R:${region.right}${region.polygon ? ` (polygon with ${region.polygon.length} vertices)` : ""}`);
+  const root = new Area(region.top, region.bottom, region.left, region.right);
+  const rootKey = getCrawlRootKey(region);
+  const queue = startOrResumeCrawl(region, rootKey);
   let areasProcessed = 0;
   let areasSplit = 0;
+  let alertsStored = 0;
+  const metricLabels = { region: region.name };
 
   while (queue.length > 0) {
-    const currentArea = queue.pop();
-    const data = await getData(currentArea.top, currentArea.bottom, currentArea.left, currentArea.right);
+    const currentPath = queue.pop();
+    const currentArea = getAreaForPath(root, currentPath);
 
-    if (!data) continue; // getData now returns null only after exhaustion or non-403 errors
-
-    if (data.error) {
-      Log.error(`Waze API Error structure: ${JSON.stringify(data.error)}`);
+    // Parts of the bounding box outside a polygon region are never requested
+    if (region.polygon && !Geo.rectIntersectsPolygon(currentArea, region.polygon)) {
+      insertCrawlAreaStmt.run(rootKey, currentPath, CRAWL_AREA_STATUS.SKIPPED, 0);
       continue;
     }
-    if (!data.alerts || !Array.isArray(data.alerts)) continue;
 
-    if (data.alerts.length >= MAX_ALERTS) {
-      queue.push(...splitData(currentArea.top, currentArea.bottom, currentArea.left, currentArea.right));
+    const data = await source.fetchArea(currentArea);
+    const seenAt = Date.now();
+
+    // Failed areas stay part of the tiling but are never merged, they are simply retried next crawl
+    if (!data) {
+      // Sources return null only after exhausting retries or on non-retryable errors
+      insertCrawlAreaStmt.run(rootKey, currentPath, CRAWL_AREA_STATUS.FAILED, null);
+      Metrics.increment("waze_areas_failed_total", metricLabels);
+    } else if (data.error) {
+      Log.error(`Waze API Error structure: ${JSON.stringify(data.error)}`);
+      insertCrawlAreaStmt.run(rootKey, currentPath, CRAWL_AREA_STATUS.FAILED, null);
+      Metrics.increment("waze_areas_failed_total", metricLabels);
+    } else if (!data.alerts || !Array.isArray(data.alerts)) {
+      insertCrawlAreaStmt.run(rootKey, currentPath, CRAWL_AREA_STATUS.FAILED, null);
+      Metrics.increment("waze_areas_failed_total", metricLabels);
+    } else if (data.alerts.length >= maxAlerts) {
+      splitCrawlArea(rootKey, currentPath);
+      queue.push(...[0, 1, 2, 3].map((quadrant) => `${currentPath}${quadrant}`));
       areasSplit++;
-      Log.info(`Area split due to ${data.alerts.length} alerts (>= ${MAX_ALERTS}). Queue size: ${queue.length}`);
+      Metrics.increment("waze_areas_split_total", metricLabels);
+      Log.info(`Area split due to ${data.alerts.length} alerts (>= ${maxAlerts}). Queue size: ${queue.length}`);
     } else {
-      usePoliceData(data);
+      const newUuids = storeAreaAlerts(region, rootKey, currentPath, data, seenAt);
       areasProcessed++;
+      alertsStored += newUuids.length;
+      Metrics.increment("waze_areas_processed_total", metricLabels);
+      Metrics.increment("waze_alerts_stored_total", metricLabels, newUuids.length);
+      if (newUuids.length > 0) await onNewAlerts(newUuids);
     }
 
     if (QUERY_DELAY_MS > 0 && queue.length > 0) {
@@ -140,7 +249,10 @@ async function fetchWazeAlerts() {
     }
   }
 
-  Log.info(`Waze fetch completed. Areas processed: ${areasProcessed}, Areas split: ${areasSplit}`);
+  // Immediate, as the transaction reads before it writes and other regions' runners may be writing concurrently
+  const leafCount = completeCrawl.immediate(rootKey, maxAlerts);
+  Metrics.set("waze_run_alerts_stored", metricLabels, alertsStored);
+  Log.info(`Waze fetch for region ${region.name} completed. Areas processed: ${areasProcessed}, Areas split: ${areasSplit}, Leaf areas kept for next crawl: ${leafCount}`);
 }
 
 module.exports = { fetchWazeAlerts };
@@ -0,0 +1,110 @@
+/*
+  -- End-to-end check of the Waze crawl against the mock georss server: npm run test:e2e --
+  Crawls a small region of generated alerts into a temporary cache dir and checks the quadtree splits, 403 retries,
+  resuming from the stored leaves and that failed leaves are kept for the next crawl. Exits non-zero on failure.
+*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const Path = require("path");
+
+const ALERT_COUNT = 1000;
+const MAX_ALERTS = 100;
+const RETRY_DELAYS_MS = [10, 10];
+const AREA = { top: -27, bottom: -28, left: 152, right: 153 };
+
+const cacheDirPath = fs.mkdtempSync(Path.join(os.tmpdir(), "heatmap-e2e-"));
+
+const Database = require("better-sqlite3");
+const { createMockWazeServer, generateAlerts, GEORSS_PATH } = require("../src/mock-waze-server");
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function run() {
+  const alerts = generateAlerts({ count: ALERT_COUNT, area: AREA, seed: 7 });
+  const { app, stats } = createMockWazeServer({ alerts, maxAlerts: MAX_ALERTS, seed: 7 });
+  const server = await listen(app);
+  const mockUrl = `http://127.0.0.1:${server.address().port}`;
+  let db = null;
+  try {
+    await crawlMock(mockUrl, stats, (openedDb) => (db = openedDb));
+  } finally {
+    server.close();
+    if (db) db.close();
+  }
+}
+
+async function crawlMock(mockUrl, stats, onDatabaseOpened) {
+  // Configuration is read from the environment when src/config.js is first required, so it is set up before the crawler is loaded
+  delete process.env.WAZE_REGIONS;
+  Object.assign(process.env, {
+    HEATMAP_CACHE_DIR_PATH: cacheDirPath,
+    DB_FILENAME: "alerts.sqlite",
+    WAZE_AREA_TOP: String(AREA.top),
+    WAZE_AREA_BOTTOM: String(AREA.bottom),
+    WAZE_AREA_LEFT: String(AREA.left),
+    WAZE_AREA_RIGHT: String(AREA.right),
+    WAZE_MAX_ALERTS: String(MAX_ALERTS),
+    WAZE_QUERY_DELAY_MS: "0",
+    WAZE_RETRY_DELAYS_MS: RETRY_DELAYS_MS.join(","),
+    ALERT_SOURCE: "waze-georss",
+    WAZE_BASE_URL: `${mockUrl}${GEORSS_PATH}`,
+    LOG_LEVEL: process.env.LOG_LEVEL || "error",
+  });
+  require("../src/config");
+  const Migrate = require("../src/migrate");
+  const db = new Database(Path.join(cacheDirPath, "alerts.sqlite"));
+  onDatabaseOpened(db);
+  db.pragma("journal_mode = WAL");
+  Migrate.applyMigrations(db);
+  const Waze = require("../src/waze");
+
+  const resetMock = () => fetch(`${mockUrl}/mock/reset`, { method: "POST" });
+  const failNextRequests = (count) => fetch(`${mockUrl}/mock/fail?count=${count}&status=403`, { method: "POST" });
+  const getLeaves = () => db.prepare(`SELECT path, alert_count FROM crawl_leaves ORDER BY path`).all();
+  const countAlerts = () => db.prepare(`SELECT COUNT(*) FROM alerts`).pluck().get();
+
+  // First crawl: starts from the root, which holds more than MAX_ALERTS and is split, after two 403s that are retried
+  await failNextRequests(RETRY_DELAYS_MS.length);
+  await Waze.fetchWazeAlerts("default");
+  const firstLeaves = getLeaves();
+  assert.strictEqual(countAlerts(), ALERT_COUNT, "every generated alert is stored");
+  assert.strictEqual(stats.forbidden, RETRY_DELAYS_MS.length, "forced 403s are served");
+  assert.ok(stats.truncated > 0, "the root area is truncated by the mock");
+  assert.ok(firstLeaves.length > 1, "the crawl split the root area");
+  assert.ok(
+    firstLeaves.every((leaf) => leaf.path.length > 0 && leaf.alert_count < MAX_ALERTS),
+    "every leaf holds fewer than MAX_ALERTS alerts"
+  );
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) FROM crawl_areas`).pluck().get(), 0, "a completed crawl clears its areas");
+
+  // Second crawl: resumes from the stored leaves, so nothing is truncated or split and no alert is new
+  await resetMock();
+  await Waze.fetchWazeAlerts("default");
+  assert.strictEqual(stats.requests, firstLeaves.length, "one request per stored leaf");
+  assert.strictEqual(stats.truncated, 0, "no leaf is truncated");
+  assert.deepStrictEqual(getLeaves(), firstLeaves, "the tiling is unchanged");
+  assert.strictEqual(countAlerts(), ALERT_COUNT, "no alert is stored twice");
+
+  // Third crawl: a leaf whose retries are exhausted fails, and stays part of the tiling for the next crawl
+  await resetMock();
+  await failNextRequests(RETRY_DELAYS_MS.length + 1);
+  await Waze.fetchWazeAlerts("default");
+  const thirdLeaves = getLeaves();
+  assert.strictEqual(stats.forbidden, RETRY_DELAYS_MS.length + 1, "the failing leaf is retried until the retries run out");
+  assert.strictEqual(thirdLeaves.length, firstLeaves.length, "the failed leaf is kept");
+  assert.strictEqual(thirdLeaves.filter((leaf) => leaf.alert_count === null).length, 1, "exactly one leaf failed");
+
+  console.log(`E2E crawl passed: ${ALERT_COUNT} alerts over ${firstLeaves.length} leaves.`);
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(cacheDirPath, { recursive: true, force: true }));
@@ -0,0 +1,138 @@
+/*
+  -- End-to-end check of the incremental grid update: npm run test:e2e --
+  Builds the grids over generated alerts, then stores more alerts twice while the reference timestamp moves past the time
+  window boundaries, patching the live grid each time. The patched grid must equal a full rebuild over the same alerts.
+  Exits non-zero on failure.
+*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const Path = require("path");
+
+const DAY_MS = 86400000;
+const ALERT_TYPES = ["POLICE", "ACCIDENT"];
+const TIME_WINDOW_DAYS = [7, 14, 30, 90];
+// Small enough that diversity neighbourhoods and hotspots overlap between the batches, and centred on a corner of the
+// squares the incremental update groups changed cells into, so rescoring has to read cells across them
+const AREA = { top: -27.4985, bottom: -27.5015, left: 152.9985, right: 153.0015 };
+const START_TIMESTAMP = Date.UTC(2026, 0, 1);
+// Batches move the newest alert, and with it every time window boundary, forward by their offset. The last one stays
+// behind the newest alert and only changes a strip along one edge of a square, whose neighbours across it are rescored.
+const BATCHES = [
+  { count: 1500, seed: 1, offsetDays: 0, area: AREA },
+  { count: 300, seed: 2, offsetDays: 3, area: AREA },
+  { count: 300, seed: 3, offsetDays: 10, area: AREA },
+  { count: 50, seed: 4, offsetDays: 9, area: { ...AREA, left: 152.9999, right: 153.0 } },
+];
+// Rows compared per grid table, without the generation they belong to
+const GRID_TABLES = ["density_grids", "profile_grids", "temporal_diversity_grids", "hotspots"];
+const IGNORED_COLUMNS = ["generation_id", "hotspot_id"];
+
+const cacheDirPath = fs.mkdtempSync(Path.join(os.tmpdir(), "heatmap-e2e-grid-"));
+
+// Configuration is read from the environment when src/config.js is first required, so it is set up before the grid is loaded
+delete process.env.WAZE_REGIONS;
+Object.assign(process.env, {
+  HEATMAP_CACHE_DIR_PATH: cacheDirPath,
+  DB_FILENAME: "alerts.sqlite",
+  WAZE_AREA_TOP: String(AREA.top),
+  WAZE_AREA_BOTTOM: String(AREA.bottom),
+  WAZE_AREA_LEFT: String(AREA.left),
+  WAZE_AREA_RIGHT: String(AREA.right),
+  WAZE_QUERY_DELAY_MS: "0",
+  GRID_ALERT_TYPES: ALERT_TYPES.join(","),
+  GRID_TIME_WINDOW_DAYS: TIME_WINDOW_DAYS.join(","),
+  GRID_TIMEZONE: "UTC",
+  GRID_WORKER_THREADS: "1",
+  LOG_LEVEL: process.env.LOG_LEVEL || "error",
+});
+const Database = require("better-sqlite3");
+require("../src/config");
+const Migrate = require("../src/migrate");
+const Grid = require("../src/grid");
+const { generateAlerts } = require("../src/mock-waze-server");
+
+function insertAlerts(db, { count, seed, offsetDays, area }) {
+  const insertStmt = db.prepare(`INSERT INTO alerts (uuid, pubMillis, latitude, longitude, confidence, reliability, type, subtype, region, last_seen) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'default', ?)`);
+  const alerts = generateAlerts({ count, area, seed, now: START_TIMESTAMP + offsetDays * DAY_MS });
+  db.transaction(() => {
+    for (const alert of alerts) {
+      insertStmt.run(alert.uuid, alert.pubMillis, alert.location.y, alert.location.x, alert.confidence, alert.reliability, alert.type, alert.subtype, alert.pubMillis);
+    }
+    db.prepare(`UPDATE alerts SET incident_id = rowid WHERE incident_id IS NULL`).run();
+  })();
+}
+
+const getLiveGeneration = (db) => db.prepare(`SELECT generation_id, reference_timestamp, max_alert_rowid FROM grid_generations WHERE status = 'live'`).get();
+
+// Rows of every grid table of a generation, in a stable order, with scores rounded past float summation noise
+function readGrids(db, generationId) {
+  const grids = {};
+  for (const table of GRID_TABLES) {
+    grids[table] = db
+      .prepare(`SELECT * FROM ${table} WHERE generation_id = ?`)
+      .all(generationId)
+      .map((row) => {
+        const comparable = {};
+        for (const [column, value] of Object.entries(row)) {
+          if (IGNORED_COLUMNS.includes(column)) continue;
+          comparable[column] = typeof value === "number" ? Number(value.toPrecision(12)) : value;
+        }
+        return JSON.stringify(comparable);
+      })
+      .sort();
+  }
+  return grids;
+}
+
+async function run() {
+  const db = new Database(Path.join(cacheDirPath, "alerts.sqlite"));
+  try {
+    db.pragma("journal_mode = WAL");
+    Migrate.applyMigrations(db);
+
+    const [firstBatch, ...laterBatches] = BATCHES;
+    insertAlerts(db, firstBatch);
+    await Grid.updateGrids();
+    let liveGeneration = getLiveGeneration(db);
+    assert.ok(liveGeneration, "the first update builds a live generation");
+    const liveGenerationId = liveGeneration.generation_id;
+
+    // Alerts already counted must leave a time window as its boundary moves, otherwise only new alerts would be checked
+    const countCrossingStmt = db.prepare(`SELECT COUNT(*) FROM alerts WHERE pubMillis >= ? AND pubMillis < ? AND rowid <= ?`).pluck();
+    let crossingCount = 0;
+    for (const batch of laterBatches) {
+      insertAlerts(db, batch);
+      await Grid.updateGrids();
+      const patchedGeneration = getLiveGeneration(db);
+      assert.strictEqual(patchedGeneration.generation_id, liveGenerationId, "the live generation is patched rather than rebuilt");
+      for (const days of TIME_WINDOW_DAYS) {
+        crossingCount += countCrossingStmt.get(liveGeneration.reference_timestamp - days * DAY_MS, patchedGeneration.reference_timestamp - days * DAY_MS, liveGeneration.max_alert_rowid);
+      }
+      liveGeneration = patchedGeneration;
+    }
+    assert.ok(crossingCount > 0, "counted alerts crossed a time window boundary");
+    const patchedGrids = readGrids(db, liveGenerationId);
+    assert.ok(GRID_TABLES.every((table) => patchedGrids[table].length > 0), "every grid table has rows");
+
+    await Grid.updateGrids(() => {}, { fullRebuild: true });
+    const rebuiltGenerationId = getLiveGeneration(db).generation_id;
+    assert.notStrictEqual(rebuiltGenerationId, liveGenerationId, "the full rebuild publishes a new generation");
+    const rebuiltGrids = readGrids(db, rebuiltGenerationId);
+    for (const table of GRID_TABLES) {
+      assert.deepStrictEqual(patchedGrids[table], rebuiltGrids[table], `the patched ${table} equal a full rebuild`);
+    }
+
+    return GRID_TABLES.map((table) => `${rebuiltGrids[table].length} ${table}`).join(", ");
+  } finally {
+    db.close();
+  }
+}
+
+run()
+  .then((summary) => console.log(`E2E grid passed: patched grids equal a full rebuild (${summary}).`))
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(cacheDirPath, { recursive: true, force: true }));